@@ -0,0 +1,187 @@
+const Appointment = require("../models/Appointment");
+const AuditLog = require("../models/AuditLog");
+const DoctorProfile = require("../models/DoctorProfile");
+const { sendPushToUser } = require("../routes/notifications");
+const { formatYmd, toMinutes } = require("../utils/availability");
+const { transitionStatus } = require("../utils/appointmentStatus");
+const { applyNoShowPolicy } = require("../utils/noShowPolicy");
+
+const toBool = (v) => String(v || "").toLowerCase() === "true";
+
+const BATCH_SIZE = 500;
+
+const AUDIT_ACTIONS = {
+  cancelled: "AUTO_CANCEL",
+  completed: "AUTO_COMPLETE",
+  no_show: "AUTO_NO_SHOW",
+};
+
+const hasStarted = (appt, now) => {
+  const todayIso = formatYmd(now);
+  if (appt.appointmentDateIso < todayIso) return true;
+  const start = toMinutes(appt.appointmentTimeValue || appt.appointmentTime);
+  return start !== null && start <= now.getHours() * 60 + now.getMinutes();
+};
+
+/**
+ * Conditionally move one appointment (only if nobody changed its status meanwhile)
+ * and record it in statusHistory + AuditLog. Returns true when applied.
+ */
+const closeAppointment = async (appt, to, reason) => {
+  const from = appt.status;
+  const draft = { status: from, statusHistory: [] };
+  transitionStatus(draft, to, { byRole: "system", reason });
+
+  const update = {
+    $set: { status: to },
+    $push: { statusHistory: draft.statusHistory[0] },
+  };
+  // Cancelled bookings must not keep a scannable QR
+  if (to === "cancelled") {
+    update.$set.qrCode = "";
+    update.$set.qrPayload = "";
+  }
+
+  const result = await Appointment.updateOne({ _id: appt._id, status: from }, update);
+  if (!result.modifiedCount) return false;
+
+  try {
+    await AuditLog.create({
+      actorUser: null,
+      actorName: "system",
+      action: AUDIT_ACTIONS[to],
+      entityType: "Appointment",
+      entityId: String(appt._id),
+      entityName: appt.bookingNumber ? `#${appt.bookingNumber}` : "",
+      details: `${from} -> ${to}: ${reason}`,
+      ip: "",
+      timestamp: new Date(),
+    });
+  } catch (err) {
+    console.warn("Audit log write failed:", err?.message);
+  }
+  return true;
+};
+
+// Pending bookings nobody accepted before their time are cancelled.
+async function runExpirePending() {
+  const now = new Date();
+  const appts = await Appointment.find({
+    status: "pending",
+    appointmentDateIso: { $type: "string", $ne: "", $lte: formatYmd(now) },
+  })
+    .select("user status bookingNumber doctorName appointmentDate appointmentDateIso appointmentTime appointmentTimeValue")
+    .sort({ appointmentDateIso: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let sent = 0;
+  for (const appt of appts) {
+    if (!hasStarted(appt, now)) continue;
+    const applied = await closeAppointment(appt, "cancelled", "Pending appointment expired");
+    if (!applied) continue;
+    sent += 1;
+
+    if (appt.user) {
+      const apptDate = appt.appointmentDate || appt.appointmentDateIso || "";
+      const apptTime = appt.appointmentTime || appt.appointmentTimeValue || "";
+      await sendPushToUser(appt.user, {
+        title: "تم إلغاء الحجز تلقائياً",
+        body: `لم يتم تأكيد حجزك${appt.doctorName ? ` لدى ${appt.doctorName}` : ""}${apptDate ? ` بتاريخ ${apptDate}` : ""}${apptTime ? ` في ${apptTime}` : ""} قبل موعده، لذا تم إلغاؤه`,
+        data: {
+          type: "appointment_auto_cancelled",
+          appointmentId: String(appt._id),
+          role: "patient",
+        },
+      });
+    }
+  }
+
+  return { scanned: appts.length, sent };
+}
+
+// Confirmed/checked-in visits from previous days are closed per the doctor's setting.
+async function runClosePastConfirmed() {
+  const todayIso = formatYmd(new Date());
+  const manualProfiles = await DoctorProfile.find({ autoCloseConfirmedAs: "none" }).distinct("_id");
+  const appts = await Appointment.find({
+    appointmentDateIso: { $type: "string", $ne: "", $lt: todayIso },
+    $or: [
+      { status: "checked_in" },
+      { status: "confirmed", doctorProfile: { $nin: manualProfiles } },
+    ],
+  })
+    .select("user status bookingNumber doctorProfile appointmentDateIso")
+    .sort({ appointmentDateIso: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  const profileIds = [...new Set(appts.map((a) => String(a.doctorProfile || "")).filter(Boolean))];
+  const profiles = await DoctorProfile.find({ _id: { $in: profileIds } })
+    .select("user autoCloseConfirmedAs")
+    .lean();
+  const profileById = new Map(profiles.map((p) => [String(p._id), p]));
+
+  let sent = 0;
+  for (const appt of appts) {
+    const profile = profileById.get(String(appt.doctorProfile || ""));
+    const setting = profile?.autoCloseConfirmedAs || "completed";
+
+    // A checked-in patient did come, whatever the setting
+    const to = appt.status === "checked_in" || setting !== "no_show" ? "completed" : "no_show";
+    const applied = await closeAppointment(appt, to, "Appointment day passed");
+    if (!applied) continue;
+    sent += 1;
+
+    if (to === "no_show" && appt.user && profile) {
+      try {
+        await applyNoShowPolicy({ patientId: appt.user, doctorProfile: profile });
+      } catch (err) {
+        console.error("No-show policy (sweep) error:", err?.message);
+      }
+    }
+  }
+
+  return { scanned: appts.length, sent };
+}
+
+function startAppointmentSweepJobs() {
+  if (toBool(process.env.DISABLE_APPOINTMENT_SWEEP)) {
+    console.log("Appointment sweep: disabled via DISABLE_APPOINTMENT_SWEEP=true");
+    return { stop: () => {} };
+  }
+
+  const everyMs = Number(process.env.APPOINTMENT_SWEEP_EVERY_MS || 15 * 60 * 1000);
+
+  const runSafely = async (name, fn) => {
+    try {
+      const result = await fn();
+      if (result?.sent) {
+        console.log(`${name}: updated=${result.sent} scanned=${result.scanned}`);
+      }
+    } catch (e) {
+      console.error(`${name} failed:`, e);
+    }
+  };
+
+  const runAll = async () => {
+    await runSafely("Expire pending appointments", runExpirePending);
+    await runSafely("Close past appointments", runClosePastConfirmed);
+  };
+
+  // Kick once at startup
+  runAll();
+
+  const timer = setInterval(runAll, everyMs);
+
+  // Don't keep process alive solely for timers
+  timer.unref?.();
+
+  console.log(`Appointment sweep: every ${Math.round(everyMs / 60000)}m`);
+
+  return {
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = { startAppointmentSweepJobs };
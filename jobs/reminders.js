@@ -2,6 +2,7 @@ const Appointment = require("../models/Appointment");
 const DoctorProfile = require("../models/DoctorProfile");
 const { sendPushToUser } = require("../routes/notifications");
 const sendSms = require("../utils/sendSms");
+const { expireStaleHolds } = require("../utils/waitlist");
 
 const toBool = (v) => String(v || "").toLowerCase() === "true";
 
@@ -191,6 +192,8 @@ function startReminderJobs() {
   const subscriptionDays = Number(process.env.SUBSCRIPTION_EXPIRY_REMINDER_DAYS || 1);
   const subscriptionEveryMs = Number(process.env.SUBSCRIPTION_REMINDER_EVERY_MS || 60 * 60 * 1000);
 
+  const waitlistEveryMs = Number(process.env.WAITLIST_SWEEP_EVERY_MS || 60 * 1000);
+
   const enableSms = toBool(process.env.ENABLE_SMS_REMINDERS);
 
   const runSafely = async (name, fn) => {
@@ -224,9 +227,15 @@ function startReminderJobs() {
     );
   }, subscriptionEveryMs);
 
+  // Expired waitlist holds are passed on to the next patient
+  const waitlistTimer = setInterval(() => {
+    runSafely("Waitlist hold expiry", expireStaleHolds);
+  }, waitlistEveryMs);
+
   // Don't keep process alive solely for timers
   apptTimer.unref?.();
   subTimer.unref?.();
+  waitlistTimer.unref?.();
 
   console.log(
     `Reminders: appointment ${reminderHours}h every ${Math.round(appointmentEveryMs / 60000)}m; subscription ${subscriptionDays}d every ${Math.round(
@@ -238,6 +247,7 @@ function startReminderJobs() {
     stop: () => {
       clearInterval(apptTimer);
       clearInterval(subTimer);
+      clearInterval(waitlistTimer);
     },
   };
 }
@@ -0,0 +1,107 @@
+// middleware/idempotency.js
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const KEY_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const getTtlMs = () => {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+// An in-progress key older than this is treated as abandoned (crash mid-request) and can be retried.
+const getLockMs = () => {
+  const seconds = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 60);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 60) * 1000;
+};
+
+const hashBody = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+
+const replay = (res, record) => {
+  res.set("Idempotent-Replayed", "true");
+  return res.status(record.responseStatus || 200).json(record.responseBody);
+};
+
+/**
+ * Idempotency-Key support for create endpoints (use after authMiddleware).
+ * Requests without the header run as before. With a key, the first successful (2xx)
+ * response is stored for IDEMPOTENCY_TTL_HOURS and returned again for retries with
+ * the same key and body; failed attempts release the key so the client can retry.
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = String(req.get("Idempotency-Key") || "").trim();
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ message: "Idempotency-Key غير صالح (8-128 حرفاً)" });
+  }
+
+  const filter = { user: req.user.id, scope, key };
+  const requestHash = hashBody(req.body);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      ...filter,
+      requestHash,
+      expiresAt: new Date(Date.now() + getTtlMs()),
+    });
+  } catch (err) {
+    if (err?.code !== 11000) {
+      console.error("Idempotency key error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+
+    const existing = await IdempotencyKey.findOne(filter).lean();
+    if (!existing) {
+      return res.status(409).json({ message: "الطلب قيد المعالجة، أعد المحاولة بعد قليل" });
+    }
+    if (existing.requestHash !== requestHash) {
+      return res
+        .status(422)
+        .json({ message: "تم استخدام Idempotency-Key مع طلب مختلف", code: "E_IDEMPOTENCY_MISMATCH" });
+    }
+    if (existing.status === "completed") return replay(res, existing);
+
+    // Take over an abandoned attempt; otherwise the original request is still running.
+    record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: "in_progress", updatedAt: { $lt: new Date(Date.now() - getLockMs()) } },
+      { $set: { expiresAt: new Date(Date.now() + getTtlMs()) } },
+      { new: true }
+    );
+    if (!record) {
+      return res.status(409).json({ message: "الطلب قيد المعالجة، أعد المحاولة بعد قليل" });
+    }
+  }
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const done =
+      statusCode >= 200 && statusCode < 300
+        ? IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              $set: {
+                status: "completed",
+                responseStatus: statusCode,
+                responseBody: JSON.parse(JSON.stringify(body ?? null)),
+              },
+            }
+          )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+    Promise.resolve(done)
+      .catch((e) => console.error("Idempotency key save error:", e?.message))
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  return next();
+};
+
+module.exports = idempotency;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { APPOINTMENT_STATUSES } = require("../utils/appointmentStatus");
 
 const appointmentSchema = new mongoose.Schema(
   {
@@ -50,7 +51,7 @@ const appointmentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "confirmed", "completed", "cancelled"],
+      enum: APPOINTMENT_STATUSES,
       default: "pending",
     },
     notes: {
@@ -62,10 +63,37 @@ const appointmentSchema = new mongoose.Schema(
       default: "",
       trim: true,
     },
+    // Legacy text lines; since structured prescriptions they mirror prescriptionItems
+    // (utils/prescriptions.js formatPrescriptionLine) for older app builds
     doctorPrescriptions: {
       type: [String],
       default: [],
     },
+    prescriptionItems: {
+      type: [
+        {
+          _id: false,
+          drugName: { type: String, required: true, trim: true },
+          strength: { type: String, default: "", trim: true },
+          form: { type: String, default: "", trim: true },
+          dose: { type: String, default: "", trim: true },
+          frequency: { type: String, default: "", trim: true },
+          duration: { type: String, default: "", trim: true },
+          instructions: { type: String, default: "", trim: true },
+          // DoctorMedication the item was filled from, if any
+          medicationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "DoctorMedication",
+            default: null,
+          },
+        },
+      ],
+      default: [],
+    },
+    prescribedAt: {
+      type: Date,
+      default: null,
+    },
     createdByDoctor: {
       type: Boolean,
       default: false,
@@ -134,10 +162,105 @@ const appointmentSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+
+    // Previous slots when the patient moves the booking (most recent last)
+    rescheduleHistory: {
+      type: [
+        {
+          _id: false,
+          fromDate: { type: String, default: "" },
+          fromDateIso: { type: String, default: "" },
+          fromTime: { type: String, default: "" },
+          fromTimeValue: { type: String, default: "" },
+          toDate: { type: String, default: "" },
+          toDateIso: { type: String, default: "" },
+          toTime: { type: String, default: "" },
+          toTimeValue: { type: String, default: "" },
+          changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          changedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+
+    // Clinic where the visit takes place (snapshot); null = the profile's main clinic
+    location: {
+      type: {
+        _id: false,
+        locationId: { type: mongoose.Schema.Types.ObjectId, ref: "DoctorLocation", default: null },
+        name: { type: String, default: "" },
+        address: { type: String, default: "" },
+      },
+      default: null,
+    },
+
+    // Recurring follow-up series created by the doctor (shared by every occurrence)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+    // 1-based position in the series pattern (skipped dates keep their number)
+    seriesIndex: {
+      type: Number,
+      default: null,
+    },
+
+    // Set when the account holder booked for a family member (snapshot of User.dependents[i])
+    dependent: {
+      type: {
+        _id: false,
+        dependentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: "" },
+        birthDate: { type: String, default: "" },
+        sex: { type: String, default: "" },
+        relationship: { type: String, default: "" },
+      },
+      default: null,
+    },
+
+    // Reception check-in (QR scan)
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Lifecycle changes (see utils/appointmentStatus.js), oldest first
+    statusHistory: {
+      type: [
+        {
+          _id: false,
+          from: { type: String, default: "" },
+          to: { type: String, default: "" },
+          by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          // patient | doctor | secretary | admin | system
+          byRole: { type: String, default: "" },
+          reason: { type: String, default: "", trim: true },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: true }
 );
 
+// One active booking per doctor slot. The status list must match BUSY_STATUSES in
+// utils/availability.js (inlined: that module requires this one). Existing databases need
+// `npm run sync:indexes` after a change here; autoIndex does not replace an index.
 appointmentSchema.index(
   { doctorProfile: 1, appointmentDateIso: 1, appointmentTimeValue: 1 },
   {
@@ -146,7 +269,7 @@ appointmentSchema.index(
       doctorProfile: { $exists: true },
       appointmentDateIso: { $type: "string", $ne: "" },
       appointmentTimeValue: { $type: "string", $ne: "" },
-      status: { $in: ["pending", "confirmed"] },
+      status: { $in: ["pending", "confirmed", "checked_in"] },
     },
   }
 );
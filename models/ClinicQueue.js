@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// "Now serving" state of a doctor's queue for one day (numbers are Appointment.doctorQueueNumber).
+const clinicQueueSchema = new mongoose.Schema(
+  {
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+    },
+    // YYYY-MM-DD
+    dateIso: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Number currently called to the doctor's room
+    currentNumber: {
+      type: Number,
+      default: null,
+    },
+    currentAppointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+    // Highest number called so far; advancing continues after it (recalls do not move it)
+    lastCalledNumber: {
+      type: Number,
+      default: 0,
+    },
+    // Called but absent; can be recalled later
+    skippedNumbers: {
+      type: [Number],
+      default: [],
+    },
+    history: {
+      type: [
+        {
+          _id: false,
+          action: { type: String, enum: ["advance", "skip", "recall"] },
+          number: { type: Number, default: null },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+clinicQueueSchema.index({ doctorProfile: 1, dateIso: 1 }, { unique: true });
+
+module.exports = mongoose.model("ClinicQueue", clinicQueueSchema);
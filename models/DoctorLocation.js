@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const { defaultSchedule, scheduleSchema } = require("./scheduleSchema");
+const { geoPointPath, syncGeoLocation } = require("../utils/geo");
+
+// A place where the doctor receives patients (hospital, private clinic, ...).
+// Doctors without locations keep using DoctorProfile.location/schedule as their only clinic.
+const doctorLocationSchema = new mongoose.Schema(
+  {
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    address: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    locationLat: {
+      type: Number,
+      default: null,
+    },
+    locationLng: {
+      type: Number,
+      default: null,
+    },
+    // GeoJSON copy of the coordinates above, kept in sync on save
+    geoLocation: geoPointPath(),
+    // Reception of this location (may check patients in)
+    secretaryPhone: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    schedule: {
+      type: scheduleSchema,
+      default: () => ({ ...defaultSchedule }),
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+doctorLocationSchema.index(
+  { doctorProfile: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+doctorLocationSchema.index({ geoLocation: "2dsphere" });
+
+doctorLocationSchema.pre("save", syncGeoLocation);
+
+module.exports = mongoose.model("DoctorLocation", doctorLocationSchema);
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// A doctor's reusable medication (prescription defaults), managed under /api/doctors/me/medications
+const doctorMedicationSchema = new mongoose.Schema(
+  {
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+      index: true,
+    },
+    drugName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    strength: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    form: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Defaults copied into a prescription item when left empty there
+    dose: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    frequency: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    duration: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    instructions: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Bumped each time the medication is prescribed; the list is ordered by it
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+doctorMedicationSchema.index(
+  { doctorProfile: 1, drugName: 1, strength: 1, form: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model("DoctorMedication", doctorMedicationSchema);
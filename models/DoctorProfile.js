@@ -1,54 +1,29 @@
 const mongoose = require("mongoose");
+const { defaultSchedule, scheduleSchema } = require("./scheduleSchema");
+const { geoPointPath, syncGeoLocation } = require("../utils/geo");
+const { buildSearchText } = require("../utils/arabicSearch");
 
-const defaultSchedule = {
-  activeDays: ["mon", "tue", "wed", "thu", "fri"],
-  startTime: "09:00",
-  endTime: "17:00",
-  breakEnabled: true,
-  breakFrom: "13:00",
-  breakTo: "14:00",
-  duration: 20,
-  allowOnline: true,
-  emergency: false,
-};
-
-const scheduleSchema = new mongoose.Schema(
+// Enforced on patient cancellations of confirmed bookings (routes/appointments.js)
+const cancellationPolicySchema = new mongoose.Schema(
   {
-    activeDays: {
-      type: [String],
-      default: () => [...defaultSchedule.activeDays],
-    },
-    startTime: {
-      type: String,
-      default: defaultSchedule.startTime,
-    },
-    endTime: {
-      type: String,
-      default: defaultSchedule.endTime,
-    },
-    breakEnabled: {
-      type: Boolean,
-      default: defaultSchedule.breakEnabled,
-    },
-    breakFrom: {
-      type: String,
-      default: defaultSchedule.breakFrom,
-    },
-    breakTo: {
-      type: String,
-      default: defaultSchedule.breakTo,
-    },
-    duration: {
+    // 0 = patients may cancel until the appointment starts
+    minNoticeHours: {
       type: Number,
-      default: defaultSchedule.duration,
+      default: 0,
+      min: 0,
+      max: 168,
     },
-    allowOnline: {
+    // true: a late cancellation is allowed but recorded as no_show; false: it is refused
+    lateCancellationCountsAsNoShow: {
       type: Boolean,
-      default: defaultSchedule.allowOnline,
+      default: false,
     },
-    emergency: {
-      type: Boolean,
-      default: defaultSchedule.emergency,
+    // Per patient with this doctor, calendar month; 0 = unlimited
+    maxCancellationsPerMonth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
     },
   },
   { _id: false }
@@ -83,6 +58,8 @@ const doctorProfileSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+    // Derived from locationLat/locationLng on save (see utils/geo.js); used by /api/doctors/search
+    geoLocation: geoPointPath(),
     certification: {
       type: String,
       default: "",
@@ -111,6 +88,15 @@ const doctorProfileSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Visible reviews only; maintained by utils/reviews.js refreshDoctorRating()
+    ratingAverage: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
     specialtySlug: {
       type: String,
       default: "",
@@ -119,6 +105,12 @@ const doctorProfileSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Normalised displayName/specialty/location for the text search (utils/arabicSearch.js)
+    searchText: {
+      type: String,
+      default: "",
+      select: false,
+    },
     status: {
       type: String,
       enum: ["pending", "active", "inactive"],
@@ -137,6 +129,16 @@ const doctorProfileSchema = new mongoose.Schema(
       type: scheduleSchema,
       default: () => ({ ...defaultSchedule }),
     },
+    cancellationPolicy: {
+      type: cancellationPolicySchema,
+      default: () => ({}),
+    },
+    // What the appointment sweep does with confirmed visits once their day has passed
+    autoCloseConfirmedAs: {
+      type: String,
+      enum: ["completed", "no_show", "none"],
+      default: "completed",
+    },
     subscriptionPlan: {
       type: String,
       default: "free",
@@ -178,4 +180,18 @@ const doctorProfileSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+doctorProfileSchema.index({ geoLocation: "2dsphere" });
+doctorProfileSchema.index({ ratingAverage: -1, ratingCount: -1 });
+
+doctorProfileSchema.pre("save", syncGeoLocation);
+
+const SEARCH_TEXT_FIELDS = ["displayName", "specialtyLabel", "specialty", "location"];
+
+doctorProfileSchema.pre("save", function syncSearchText(next) {
+  if (this.isNew || SEARCH_TEXT_FIELDS.some((field) => this.isModified(field))) {
+    this.searchText = buildSearchText(SEARCH_TEXT_FIELDS.map((field) => this[field]));
+  }
+  next();
+});
+
 module.exports = mongoose.model("DoctorProfile", doctorProfileSchema);
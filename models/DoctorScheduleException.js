@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Date-specific overrides of DoctorProfile.schedule.
+// - closed: no bookings between dateFrom..dateTo (vacation, day off)
+// - custom_hours: replaces the weekly hours on those dates (also opens inactive days)
+const doctorScheduleExceptionSchema = new mongoose.Schema(
+  {
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["closed", "custom_hours"],
+      required: true,
+    },
+    // YYYY-MM-DD (inclusive range)
+    dateFrom: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    dateTo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    startTime: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    endTime: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    breakEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    breakFrom: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    breakTo: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    reason: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+doctorScheduleExceptionSchema.index({ doctorProfile: 1, dateFrom: 1, dateTo: 1 });
+
+module.exports = mongoose.model("DoctorScheduleException", doctorScheduleExceptionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { buildSearchText } = require("../utils/arabicSearch");
 
 const doctorServiceSchema = new mongoose.Schema(
   {
@@ -13,6 +14,12 @@ const doctorServiceSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Normalised name for the doctor text search
+    searchName: {
+      type: String,
+      default: "",
+      select: false,
+    },
     price: {
       type: Number,
       required: true,
@@ -25,6 +32,12 @@ const doctorServiceSchema = new mongoose.Schema(
       min: 1,
       default: 20,
     },
+    // Only offered at this location; null = every location of the doctor
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorLocation",
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -41,4 +54,11 @@ doctorServiceSchema.index(
   { unique: true, partialFilterExpression: { isActive: true } }
 );
 
+doctorServiceSchema.pre("save", function syncSearchName(next) {
+  if (this.isNew || this.isModified("name")) {
+    this.searchName = buildSearchText([this.name]);
+  }
+  next();
+});
+
 module.exports = mongoose.model("DoctorService", doctorServiceSchema);
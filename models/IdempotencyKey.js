@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Client-supplied Idempotency-Key of a create request and the response it produced.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Endpoint the key belongs to (e.g. "appointments:create")
+    scope: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // sha256 of the request body; the same key with another body is rejected
+    requestHash: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["in_progress", "completed"],
+      default: "in_progress",
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Removed by the TTL index
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+const reviewReplySchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    repliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A patient's rating of one completed appointment (one review per appointment).
+// Hidden reviews stay stored but drop out of the public list and the doctor's rating.
+const reviewSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+      unique: true,
+    },
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    comment: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 1000,
+    },
+    // Doctor's public answer; null until they reply
+    reply: {
+      type: reviewReplySchema,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["visible", "hidden"],
+      default: "visible",
+    },
+    // Admin moderation
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ doctorProfile: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Managed catalogue behind DoctorProfile.specialtySlug (admin CRUD in routes/admin.js).
+// DoctorProfile keeps its specialty/specialtyLabel copies for older clients.
+const specialtySchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+    labelAr: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    labelEn: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Icon name or URL understood by the apps
+    icon: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Ascending display order; ties fall back to labelAr
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // Legacy free-text values (normalised) that map to this entry; used by the migration
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    // Inactive entries stay valid for existing doctors but are hidden from registration
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Specialty", specialtySchema);
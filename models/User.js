@@ -1,6 +1,35 @@
 
 // models/User.js
 const mongoose = require("mongoose");
+const { DEPENDENT_RELATIONSHIPS, DEPENDENT_SEXES } = require("../utils/dependents");
+
+// Family members booked under this account (children, parents, ...)
+const dependentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // YYYY-MM-DD
+    birthDate: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    sex: {
+      type: String,
+      enum: [...DEPENDENT_SEXES, ""],
+      default: "",
+    },
+    relationship: {
+      type: String,
+      enum: DEPENDENT_RELATIONSHIPS,
+      default: "other",
+    },
+  },
+  { timestamps: true }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -86,6 +115,22 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Missed visits (status no_show); see utils/noShowPolicy.js
+    noShowCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Set by the no-show policy when NO_SHOW_ACTION=flag; cleared by an admin after review
+    noShowFlagged: {
+      type: Boolean,
+      default: false,
+    },
+    noShowFlaggedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Auth session invalidation (logout everywhere / password change)
     tokenVersion: {
       type: Number,
@@ -93,6 +138,17 @@ const userSchema = new mongoose.Schema(
       min: 0,
     },
 
+    dependents: {
+      type: [dependentSchema],
+      default: [],
+    },
+
+    // Patient shortcuts (GET/POST/DELETE /api/auth/me/favorites), most recently added last
+    favoriteDoctors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "DoctorProfile" }],
+      default: [],
+    },
+
     // E2EE chat public key (base64). Private key must never be stored on server.
     chatPublicKey: {
       type: String,
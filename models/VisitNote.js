@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+const vitalsSchema = new mongoose.Schema(
+  {
+    systolic: { type: Number, default: null }, // mmHg
+    diastolic: { type: Number, default: null }, // mmHg
+    heartRate: { type: Number, default: null }, // beats/min
+    respiratoryRate: { type: Number, default: null }, // breaths/min
+    temperature: { type: Number, default: null }, // °C
+    oxygenSaturation: { type: Number, default: null }, // %
+    weight: { type: Number, default: null }, // kg
+    height: { type: Number, default: null }, // cm
+  },
+  { _id: false }
+);
+
+// One version of the clinical (SOAP) note of an appointment. Versions are never
+// changed: an edit is a new document with version + 1 that points at the version it
+// amends and at the first version of the note (utils/visitNotes.js).
+const visitNoteSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+      index: true,
+    },
+    // Account holder of the appointment (the only patient-side reader)
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    authorName: {
+      type: String,
+      default: "",
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // First version of this note (null on the first version itself)
+    original: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VisitNote",
+      default: null,
+    },
+    // Version this one replaces (null on the first version)
+    amends: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VisitNote",
+      default: null,
+    },
+    amendmentReason: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    subjective: { type: String, default: "", trim: true },
+    objective: { type: String, default: "", trim: true },
+    assessment: { type: String, default: "", trim: true },
+    plan: { type: String, default: "", trim: true },
+    vitals: {
+      type: vitalsSchema,
+      default: () => ({}),
+    },
+    // Free text written through the legacy doctorNote field
+    note: { type: String, default: "", trim: true },
+  },
+  { timestamps: true }
+);
+
+visitNoteSchema.index({ appointment: 1, version: 1 }, { unique: true });
+
+const immutableError = () => new Error("Visit note versions are immutable; create an amendment instead");
+
+visitNoteSchema.pre("save", function rejectEdits(next) {
+  next(this.isNew ? undefined : immutableError());
+});
+
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"].forEach((op) => {
+  visitNoteSchema.pre(op, function rejectUpdates(next) {
+    next(immutableError());
+  });
+});
+
+module.exports = mongoose.model("VisitNote", visitNoteSchema);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    doctorProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorProfile",
+      required: true,
+    },
+    // YYYY-MM-DD
+    appointmentDateIso: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Optional preferred time range (HH:mm); empty means any time that day
+    timeFrom: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    timeTo: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorService",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+      default: "waiting",
+      index: true,
+    },
+
+    // Slot offered after a cancellation, held for this patient until holdExpiresAt
+    offeredSlot: {
+      appointmentDate: { type: String, default: "" },
+      appointmentDateIso: { type: String, default: "" },
+      appointmentTime: { type: String, default: "" },
+      appointmentTimeValue: { type: String, default: "" },
+    },
+    offeredAt: {
+      type: Date,
+      default: null,
+    },
+    holdExpiresAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    bookedAppointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ doctorProfile: 1, appointmentDateIso: 1, status: 1, createdAt: 1 });
+
+// One active entry per patient per doctor per day
+waitlistEntrySchema.index(
+  { user: 1, doctorProfile: 1, appointmentDateIso: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ["waiting", "offered"] } },
+  }
+);
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
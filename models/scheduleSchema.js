@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Weekly working hours (shared by DoctorProfile and DoctorLocation)
+const defaultSchedule = {
+  activeDays: ["mon", "tue", "wed", "thu", "fri"],
+  startTime: "09:00",
+  endTime: "17:00",
+  breakEnabled: true,
+  breakFrom: "13:00",
+  breakTo: "14:00",
+  duration: 20,
+  allowOnline: true,
+  emergency: false,
+};
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    activeDays: {
+      type: [String],
+      default: () => [...defaultSchedule.activeDays],
+    },
+    startTime: {
+      type: String,
+      default: defaultSchedule.startTime,
+    },
+    endTime: {
+      type: String,
+      default: defaultSchedule.endTime,
+    },
+    breakEnabled: {
+      type: Boolean,
+      default: defaultSchedule.breakEnabled,
+    },
+    breakFrom: {
+      type: String,
+      default: defaultSchedule.breakFrom,
+    },
+    breakTo: {
+      type: String,
+      default: defaultSchedule.breakTo,
+    },
+    duration: {
+      type: Number,
+      default: defaultSchedule.duration,
+    },
+    allowOnline: {
+      type: Boolean,
+      default: defaultSchedule.allowOnline,
+    },
+    emergency: {
+      type: Boolean,
+      default: defaultSchedule.emergency,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { defaultSchedule, scheduleSchema };
@@ -4,8 +4,23 @@ const DoctorProfile = require("../models/DoctorProfile");
 const mongoose = require("mongoose");
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
+const Specialty = require("../models/Specialty");
+const Review = require("../models/Review");
+const VisitNote = require("../models/VisitNote");
 const bcrypt = require("bcryptjs");
 const { sendPushToTokens } = require("./notifications");
+const { APPOINTMENT_STATUSES, transitionStatus, isTransitionError } = require("../utils/appointmentStatus");
+const { parseListQuery, pageQuery, toPage, buildListFilter, isListQueryError } = require("../utils/pagination");
+const {
+  normalizeSlug,
+  findSpecialty,
+  toProfileSpecialty,
+  listSpecialties,
+  normalizeAliases,
+} = require("../utils/specialties");
+const { refreshDoctorRating } = require("../utils/reviews");
+const { ensureDoctorPrefix } = require("../utils/doctorName");
+const { NON_CLINICAL_SELECT } = require("../utils/visitNotes");
 
 const router = express.Router();
 
@@ -57,14 +72,6 @@ const isValidIraqiPhone = (phone) => {
   return false;
 };
 
-const ensureDoctorPrefix = (rawName = "") => {
-  const name = String(rawName || "").trim();
-  if (!name) return name;
-  const prefixPattern = /^د\s*\.?\s*/i;
-  const stripped = prefixPattern.test(name) ? name.replace(prefixPattern, "").trim() : name;
-  return `د. ${stripped}`;
-};
-
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(String(id || ""));
 
 // Admin: push notifications (patients all / doctors all / doctors selected)
@@ -158,23 +165,36 @@ const isSubscriptionActive = (profile) => {
   return Date.now() <= cutoffMs;
 };
 
-// Admin: list doctors (includes pending/inactive)
+// Admin: list doctors (includes pending/inactive). Paginated lists below share
+// utils/pagination.js: { items, nextCursor } plus the legacy array key.
 router.get(
   "/doctors",
   authMiddleware,
   authMiddleware.requireRole("admin"),
   async (req, res) => {
     try {
-      const { status } = req.query;
-      const filter = {};
-      if (status) filter.status = status;
+      const list = parseListQuery(req.query, {
+        sortFields: ["createdAt", "displayName"],
+        legacyUnbounded: true,
+      });
+      const filter = buildListFilter(
+        req.query,
+        { status: "status", date: "createdAt", specialty: "specialtySlug" },
+        { statuses: ["pending", "active", "inactive"] }
+      );
+      const page = pageQuery(list, filter);
 
-      const doctors = await DoctorProfile.find(filter)
+      const docs = await DoctorProfile.find(page.filter)
         .populate("user", "name email phone createdAt")
-        .sort({ createdAt: -1 });
+        .sort(page.sort)
+        .limit(page.limit);
+      const { items, nextCursor } = toPage(docs, list);
 
-      return res.json({ doctors });
+      return res.json({ items, nextCursor, doctors: items });
     } catch (err) {
+      if (isListQueryError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
       console.error("Admin doctors list error:", err?.message);
       return res.status(500).json({ message: "Server error" });
     }
@@ -201,7 +221,9 @@ router.get(
 
       const Appointment = require("../models/Appointment");
 
+      // Clinical notes stay between the treating doctor and the patient
       const appointments = await Appointment.find({ doctorProfile: doctor._id })
+        .select(NON_CLINICAL_SELECT)
         .populate("user", "name phone email")
         .sort({ createdAt: -1 })
         .limit(500);
@@ -255,8 +277,15 @@ router.patch(
         if (v) doctor.displayName = ensureDoctorPrefix(v);
       }
       if (typeof req.body.specialty === "string") doctor.specialty = req.body.specialty.trim();
-      if (typeof req.body.specialtySlug === "string") doctor.specialtySlug = req.body.specialtySlug.trim();
       if (typeof req.body.specialtyLabel === "string") doctor.specialtyLabel = req.body.specialtyLabel.trim();
+      if (typeof req.body.specialtySlug === "string") {
+        // Retired (inactive) entries are still accepted here, unlike at registration
+        const entry = await findSpecialty(req.body.specialtySlug, { activeOnly: false });
+        if (!entry) {
+          return res.status(400).json({ message: "التخصص المحدد غير موجود في قائمة التخصصات" });
+        }
+        doctor.set(toProfileSpecialty(entry));
+      }
       if (typeof req.body.location === "string") doctor.location = req.body.location.trim();
       if (typeof req.body.locationLat !== "undefined" || typeof req.body.locationLng !== "undefined") {
         const lat = Number(req.body.locationLat);
@@ -404,7 +433,6 @@ router.post(
         phone,
         email,
         password,
-        doctorSpecialty,
         doctorSpecialtySlug,
         licenseNumber,
         avatarUrl,
@@ -419,7 +447,7 @@ router.post(
       if (!name || !phone || !password) {
         return res.status(400).json({ message: "الاسم ورقم الجوال وكلمة المرور مطلوبة" });
       }
-      if (!doctorSpecialty || !doctorSpecialtySlug || !licenseNumber || !avatarUrl || !location || !certification || !cv) {
+      if (!doctorSpecialtySlug || !licenseNumber || !avatarUrl || !location || !certification || !cv) {
         return res.status(400).json({ message: "بيانات الطبيب ناقصة" });
       }
       if (!secretaryPhone) {
@@ -438,6 +466,10 @@ router.post(
       if (!allowedStatus.has(status)) {
         return res.status(400).json({ message: "Invalid status" });
       }
+      const catalogueSpecialty = await findSpecialty(doctorSpecialtySlug, { activeOnly: false });
+      if (!catalogueSpecialty) {
+        return res.status(400).json({ message: "التخصص المحدد غير موجود في قائمة التخصصات" });
+      }
 
       const normalizedPhone = normalizePhone(phone);
       const existing = await User.findOne({ phone: normalizedPhone });
@@ -464,9 +496,7 @@ router.post(
       const doctorProfile = await DoctorProfile.create({
         user: user._id,
         displayName: doctorSafeName,
-        specialty: doctorSpecialty,
-        specialtySlug: doctorSpecialtySlug,
-        specialtyLabel: doctorSpecialty,
+        ...toProfileSpecialty(catalogueSpecialty),
         licenseNumber,
         avatarUrl,
         location,
@@ -535,6 +565,12 @@ router.delete(
       await Block.deleteMany({ $or: [{ doctor: userId }, { patient: userId }] });
       await Appointment.deleteMany({ doctorProfile: doctorProfile._id });
       await DoctorService.deleteMany({ doctorProfile: doctorProfile._id });
+      await Review.deleteMany({ doctorProfile: doctorProfile._id });
+      await VisitNote.deleteMany({ doctorProfile: doctorProfile._id });
+      await User.updateMany(
+        { favoriteDoctors: doctorProfile._id },
+        { $pull: { favoriteDoctors: doctorProfile._id } }
+      );
       await DoctorProfile.deleteOne({ _id: doctorProfile._id });
       await User.deleteOne({ _id: userId });
 
@@ -771,6 +807,260 @@ router.patch(
   }
 );
 
+// Specialty catalogue (models/Specialty.js). Slugs are referenced by DoctorProfile and
+// pending appointments, so they are fixed once created; retire entries with isActive=false.
+
+const readSpecialtyPayload = (body = {}, { partial = false } = {}) => {
+  const update = {};
+  if (!partial || typeof body.labelAr !== "undefined") {
+    const labelAr = typeof body.labelAr === "string" ? body.labelAr.trim() : "";
+    if (!labelAr) return { error: "labelAr is required" };
+    update.labelAr = labelAr;
+  }
+  if (typeof body.labelEn !== "undefined") update.labelEn = String(body.labelEn || "").trim();
+  if (typeof body.icon !== "undefined") update.icon = String(body.icon || "").trim();
+  if (typeof body.order !== "undefined") {
+    const order = Number(body.order);
+    if (!Number.isFinite(order)) return { error: "order must be a number" };
+    update.order = order;
+  }
+  if (typeof body.aliases !== "undefined") {
+    if (!Array.isArray(body.aliases)) return { error: "aliases must be an array" };
+    update.aliases = normalizeAliases(body.aliases);
+  }
+  if (typeof body.isActive !== "undefined") {
+    if (typeof body.isActive !== "boolean") return { error: "isActive must be boolean" };
+    update.isActive = body.isActive;
+  }
+  return { update };
+};
+
+// Admin: list the catalogue (inactive included) with doctor counts
+router.get(
+  "/specialties",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const [specialties, counts] = await Promise.all([
+        listSpecialties({ includeInactive: true }).lean(),
+        DoctorProfile.aggregate([{ $group: { _id: "$specialtySlug", count: { $sum: 1 } } }]),
+      ]);
+      const countBySlug = new Map(counts.map((row) => [row._id, row.count]));
+      return res.json({
+        specialties: specialties.map((s) => ({ ...s, doctorsCount: countBySlug.get(s.slug) || 0 })),
+      });
+    } catch (err) {
+      console.error("Admin specialties list error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin: add a specialty
+router.post(
+  "/specialties",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const slug = normalizeSlug(req.body?.slug);
+      if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+        return res.status(400).json({ message: "slug must be lowercase letters, digits and dashes" });
+      }
+      const { update, error } = readSpecialtyPayload(req.body || {});
+      if (error) return res.status(400).json({ message: error });
+
+      const specialty = await Specialty.create({ ...update, slug });
+
+      await logAdminAction(req, {
+        action: "CREATE",
+        entityType: "Specialty",
+        entityId: String(specialty._id),
+        entityName: safeName(specialty.labelAr),
+        details: `Created specialty ${specialty.slug}`,
+      });
+
+      return res.status(201).json({ specialty });
+    } catch (err) {
+      if (err?.code === 11000) {
+        return res.status(409).json({ message: "هذا التخصص موجود بالفعل" });
+      }
+      console.error("Admin create specialty error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin: edit labels/icon/order/aliases/isActive. Label changes are copied to doctor profiles.
+router.patch(
+  "/specialties/:id",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid specialty id" });
+      }
+      if (typeof req.body?.slug !== "undefined") {
+        return res.status(400).json({ message: "slug cannot be changed" });
+      }
+      const { update, error } = readSpecialtyPayload(req.body || {}, { partial: true });
+      if (error) return res.status(400).json({ message: error });
+
+      const specialty = await Specialty.findById(id);
+      if (!specialty) return res.status(404).json({ message: "Specialty not found" });
+
+      const labelChanged = update.labelAr !== undefined && update.labelAr !== specialty.labelAr;
+      specialty.set(update);
+      await specialty.save();
+
+      let doctorsUpdated = 0;
+      if (labelChanged) {
+        // save() per profile keeps DoctorProfile.searchText in sync
+        const profiles = await DoctorProfile.find({ specialtySlug: specialty.slug });
+        for (const profile of profiles) {
+          profile.set(toProfileSpecialty(specialty));
+          await profile.save();
+          doctorsUpdated += 1;
+        }
+      }
+
+      await logAdminAction(req, {
+        action: "EDIT",
+        entityType: "Specialty",
+        entityId: String(specialty._id),
+        entityName: safeName(specialty.labelAr),
+        details: `Updated specialty ${specialty.slug}${labelChanged ? ` (${doctorsUpdated} doctors relabelled)` : ""}`,
+      });
+
+      return res.json({ specialty, doctorsUpdated });
+    } catch (err) {
+      console.error("Admin update specialty error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin: delete an unused specialty (deactivate it instead when doctors still use it)
+router.delete(
+  "/specialties/:id",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid specialty id" });
+      }
+      const specialty = await Specialty.findById(id);
+      if (!specialty) return res.status(404).json({ message: "Specialty not found" });
+
+      const inUse = await DoctorProfile.countDocuments({ specialtySlug: specialty.slug });
+      if (inUse) {
+        return res.status(409).json({
+          message: "لا يمكن حذف تخصص مرتبط بأطباء، يمكنك إيقافه بدلاً من ذلك",
+          doctorsCount: inUse,
+        });
+      }
+
+      await Specialty.deleteOne({ _id: specialty._id });
+
+      await logAdminAction(req, {
+        action: "DELETE",
+        entityType: "Specialty",
+        entityId: String(specialty._id),
+        entityName: safeName(specialty.labelAr),
+        details: `Deleted specialty ${specialty.slug}`,
+      });
+
+      return res.json({ message: "Deleted" });
+    } catch (err) {
+      console.error("Admin delete specialty error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin: reviews for moderation (?status=visible|hidden&doctor=&from=&to=)
+router.get(
+  "/reviews",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, { sortFields: ["createdAt", "rating"] });
+      const filter = buildListFilter(
+        req.query,
+        { status: "status", date: "createdAt", doctor: "doctorProfile" },
+        { statuses: ["visible", "hidden"] }
+      );
+      const page = pageQuery(list, filter);
+      const docs = await Review.find(page.filter)
+        .populate("doctorProfile", "displayName")
+        .populate("patient", "name phone")
+        .sort(page.sort)
+        .limit(page.limit)
+        .lean();
+      const { items, nextCursor } = toPage(docs, list);
+      return res.json({ items, nextCursor });
+    } catch (err) {
+      if (isListQueryError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
+      console.error("Admin reviews list error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin: hide / restore a review; the doctor's rating is recomputed either way
+router.patch(
+  "/reviews/:id/:action(hide|restore)",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { id, action } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid review id" });
+      }
+
+      const review = await Review.findById(id);
+      if (!review) return res.status(404).json({ message: "Review not found" });
+
+      const hide = action === "hide";
+      if ((review.status === "hidden") === hide) {
+        return res.status(409).json({ message: hide ? "التقييم مخفي مسبقًا" : "التقييم ظاهر مسبقًا" });
+      }
+
+      review.status = hide ? "hidden" : "visible";
+      review.hiddenAt = hide ? new Date() : null;
+      review.hiddenBy = hide ? req.user.id : null;
+      review.hiddenReason = hide ? String(req.body?.reason || "").trim() : "";
+      await review.save();
+
+      const rating = await refreshDoctorRating(review.doctorProfile);
+
+      await logAdminAction(req, {
+        action: hide ? "HIDE" : "RESTORE",
+        entityType: "Review",
+        entityId: String(review._id),
+        entityName: safeName(review._id),
+        details: hide
+          ? `Review hidden${review.hiddenReason ? `: ${review.hiddenReason}` : ""}`
+          : "Review restored",
+      });
+
+      return res.json({ message: "Updated", review, rating });
+    } catch (err) {
+      console.error("Admin review moderation error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Admin: list patients
 router.get(
   "/patients",
@@ -779,11 +1069,18 @@ router.get(
   async (req, res) => {
     try {
       const User = require("../models/User");
-      const patients = await User.find({ role: "patient" })
-        .select("name phone email createdAt isBlocked blockedAt blockedReason")
-        .sort({ createdAt: -1 });
-      return res.json({ patients });
+      const list = parseListQuery(req.query, { sortFields: ["createdAt", "name"], legacyUnbounded: true });
+      const page = pageQuery(list, { ...buildListFilter(req.query, { date: "createdAt" }), role: "patient" });
+      const docs = await User.find(page.filter)
+        .select("name phone email createdAt isBlocked blockedAt blockedReason noShowCount noShowFlagged noShowFlaggedAt")
+        .sort(page.sort)
+        .limit(page.limit);
+      const { items, nextCursor } = toPage(docs, list);
+      return res.json({ items, nextCursor, patients: items });
     } catch (err) {
+      if (isListQueryError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
       console.error("Admin patients error:", err?.message);
       return res.status(500).json({ message: "Server error" });
     }
@@ -834,6 +1131,104 @@ router.patch(
   }
 );
 
+// Admin: repeat no-show patients (within the policy window by default)
+router.get(
+  "/reports/no-shows",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const Appointment = require("../models/Appointment");
+      const { getNoShowPolicy } = require("../utils/noShowPolicy");
+      const { addDaysIso, formatYmd } = require("../utils/availability");
+
+      const policy = getNoShowPolicy();
+      const days = Math.min(Math.max(Number(req.query.days) || policy.windowDays, 1), 365);
+      const minCount = Math.max(Number(req.query.min) || 2, 1);
+      const sinceIso = addDaysIso(formatYmd(new Date()), -days);
+
+      const rows = await Appointment.aggregate([
+        { $match: { status: "no_show", appointmentDateIso: { $gte: sinceIso } } },
+        {
+          $group: {
+            _id: "$user",
+            count: { $sum: 1 },
+            doctors: { $addToSet: "$doctorProfile" },
+            lastNoShowDate: { $max: "$appointmentDateIso" },
+          },
+        },
+        { $match: { count: { $gte: minCount } } },
+        { $sort: { count: -1, lastNoShowDate: -1 } },
+        { $limit: 500 },
+        {
+          $lookup: {
+            from: "users",
+            localField: "_id",
+            foreignField: "_id",
+            as: "patient",
+          },
+        },
+        { $unwind: { path: "$patient", preserveNullAndEmptyArrays: true } },
+      ]);
+
+      const patients = rows.map((row) => ({
+        patient: {
+          _id: row._id,
+          name: row.patient?.name || "",
+          phone: row.patient?.phone || "",
+          noShowCount: row.patient?.noShowCount || 0,
+          noShowFlagged: !!row.patient?.noShowFlagged,
+          noShowFlaggedAt: row.patient?.noShowFlaggedAt || null,
+          isBlocked: !!row.patient?.isBlocked,
+        },
+        count: row.count,
+        doctorsCount: row.doctors.filter(Boolean).length,
+        lastNoShowDate: row.lastNoShowDate,
+      }));
+
+      return res.json({ since: sinceIso, days, minCount, policy, patients });
+    } catch (err) {
+      console.error("Admin no-show report error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin: clear the no-show review flag after review
+router.patch(
+  "/patients/:id/no-show-flag",
+  authMiddleware,
+  authMiddleware.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid patient id" });
+      }
+
+      const patient = await User.findById(id).select("role name noShowFlagged noShowFlaggedAt");
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+      patient.noShowFlagged = false;
+      patient.noShowFlaggedAt = null;
+      await patient.save();
+
+      await logAdminAction(req, {
+        action: "EDIT",
+        entityType: "Patient",
+        entityId: String(patient._id),
+        entityName: safeName(patient.name),
+        details: "No-show flag cleared",
+      });
+
+      return res.json({ message: "Updated", patient });
+    } catch (err) {
+      console.error("Admin no-show flag error:", err?.message);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Admin: list appointments
 router.get(
   "/appointments",
@@ -842,13 +1237,29 @@ router.get(
   async (req, res) => {
     try {
       const Appointment = require("../models/Appointment");
-      const appointments = await Appointment.find({})
+      // Without limit/cursor: the first 1000, as before paging
+      const list = parseListQuery(req.query, {
+        sortFields: ["createdAt", "appointmentDateIso"],
+        legacyLimit: 1000,
+      });
+      const filter = buildListFilter(
+        req.query,
+        { status: "status", dateIso: "appointmentDateIso", doctor: "doctorProfile", specialty: "specialtySlug" },
+        { statuses: APPOINTMENT_STATUSES }
+      );
+      const page = pageQuery(list, filter);
+      const docs = await Appointment.find(page.filter)
+        .select(NON_CLINICAL_SELECT)
         .populate("doctorProfile", "displayName specialtyLabel")
         .populate("user", "name phone email")
-        .sort({ createdAt: -1 })
-        .limit(1000);
-      return res.json({ appointments });
+        .sort(page.sort)
+        .limit(page.limit);
+      const { items, nextCursor } = toPage(docs, list);
+      return res.json({ items, nextCursor, appointments: items });
     } catch (err) {
+      if (isListQueryError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
       console.error("Admin appointments error:", err?.message);
       return res.status(500).json({ message: "Server error" });
     }
@@ -868,13 +1279,21 @@ router.patch(
         return res.status(404).json({ message: "Appointment not found" });
       }
 
-      appointment.status = "cancelled";
+      transitionStatus(appointment, "cancelled", {
+        by: req.user.id,
+        byRole: "admin",
+        reason: req.body?.reason,
+      });
       // invalidate old QR codes (booking numbers are monotonic and not reused)
       appointment.qrCode = "";
       appointment.qrPayload = "";
       await appointment.save();
 
+      const { offerFreedSlot } = require("../utils/waitlist");
+      await offerFreedSlot(appointment);
+
       const populated = await Appointment.findById(appointment._id)
+        .select(NON_CLINICAL_SELECT)
         .populate("doctorProfile", "displayName specialtyLabel")
         .populate("user", "name phone email");
 
@@ -888,6 +1307,9 @@ router.patch(
 
       return res.json({ appointment: populated });
     } catch (err) {
+      if (isTransitionError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
       console.error("Admin cancel appointment error:", err?.message);
       return res.status(500).json({ message: "Server error" });
     }
@@ -907,10 +1329,11 @@ router.patch(
         return res.status(404).json({ message: "Appointment not found" });
       }
 
-      appointment.status = "completed";
+      transitionStatus(appointment, "completed", { by: req.user.id, byRole: "admin" });
       await appointment.save();
 
       const populated = await Appointment.findById(appointment._id)
+        .select(NON_CLINICAL_SELECT)
         .populate("doctorProfile", "displayName specialtyLabel")
         .populate("user", "name phone email");
 
@@ -924,6 +1347,9 @@ router.patch(
 
       return res.json({ appointment: populated });
     } catch (err) {
+      if (isTransitionError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
       console.error("Admin complete appointment error:", err?.message);
       return res.status(500).json({ message: "Server error" });
     }
@@ -938,10 +1364,16 @@ router.get(
   async (req, res) => {
     try {
       const { action, entityType, search } = req.query;
-      const limit = Math.min(1000, Math.max(1, Number(req.query.limit || 500)));
-      const skip = Math.max(0, Number(req.query.skip || 0));
+      // Older clients page with ?limit (max 1000, default 500) and ?skip
+      const list = parseListQuery(req.query, {
+        sortFields: ["timestamp"],
+        defaultSort: "-timestamp",
+        maxLimit: 1000,
+        legacyLimit: 500,
+      });
+      const skip = list.cursor ? 0 : Math.max(0, Number(req.query.skip) || 0);
 
-      const filter = {};
+      const filter = buildListFilter(req.query, { date: "timestamp" });
       if (action) filter.action = String(action);
       if (entityType) filter.entityType = String(entityType);
       if (search) {
@@ -949,14 +1381,15 @@ router.get(
         filter.$or = [{ actorName: rx }, { entityName: rx }, { details: rx }];
       }
 
-      const logs = await AuditLog.find(filter)
-        .sort({ timestamp: -1, createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean();
+      const page = pageQuery(list, filter);
+      const docs = await AuditLog.find(page.filter).sort(page.sort).skip(skip).limit(page.limit).lean();
+      const { items, nextCursor } = toPage(docs, list);
 
-      return res.json({ logs });
+      return res.json({ items, nextCursor, logs: items });
     } catch (err) {
+      if (isListQueryError(err)) {
+        return res.status(err.status).json({ message: err.message, code: err.code });
+      }
       console.error("Admin audit logs error:", err?.message);
       return res.status(500).json({ message: "Server error" });
     }
@@ -1,44 +1,57 @@
 // routes/appointments.js
 const express = require("express");
-const QRCode = require("qrcode");
 const Appointment = require("../models/Appointment");
 const DoctorProfile = require("../models/DoctorProfile");
 const DoctorService = require("../models/DoctorService");
 const Counter = require("../models/Counter");
 const User = require("../models/User");
 const Block = require("../models/Block");
+const Review = require("../models/Review");
 const authMiddleware = require("../middleware/authMiddleware");
+const idempotency = require("../middleware/idempotency");
+const { BUSY_STATUSES, checkSlotBookable } = require("../utils/availability");
+const { isSlotHeldForOther, offerFreedSlot, markWaitlistBooked } = require("../utils/waitlist");
+const {
+  APPOINTMENT_STATUSES,
+  transitionStatus,
+  canTransition,
+  isTransitionError,
+} = require("../utils/appointmentStatus");
+const { checkPatientCancellation } = require("../utils/cancellationPolicy");
+const { applyNoShowPolicy } = require("../utils/noShowPolicy");
+const { signQrToken, attachQrCode, resolveScannedQr } = require("../utils/qrToken");
+const { withTransaction } = require("../utils/transaction");
+const { parseListQuery, pageQuery, toPage, buildListFilter, isListQueryError } = require("../utils/pagination");
+const { REVIEW_COMMENT_MAX, refreshDoctorRating } = require("../utils/reviews");
+const { toDependentSnapshot } = require("../utils/dependents");
+const { loadVisitNoteHistory } = require("../utils/visitNotes");
+const {
+  toLocationSnapshot,
+  resolveBookingLocation,
+  loadAppointmentLocation,
+} = require("../utils/doctorLocations");
 
 // 🔔 استيراد دالة الإشعارات
 const { sendPushToUser } = require("./notifications");
+const { ensureDoctorPrefix } = require("../utils/doctorName");
 
-// Ensure doctor display name carries the Arabic prefix "د. "
-const ensureDoctorPrefix = (rawName = "") => {
-  const name = String(rawName || "").trim();
-  if (!name) return name;
-  const prefixPattern = /^د\s*\.?\s*/i;
-  const stripped = prefixPattern.test(name)
-    ? name.replace(prefixPattern, "").trim()
-    : name;
-  return `د. ${stripped}`;
-};
-
-const getNextBookingNumber = async () => {
+// Counter helpers take an optional session so they can join a booking transaction.
+const getNextBookingNumber = async (session = null) => {
   const counter = await Counter.findOneAndUpdate(
     { key: "bookingNumber" },
     { $inc: { seq: 1 } },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
   );
   return String(counter.seq);
 };
 
-const getNextDoctorQueueNumber = async (doctorProfileId) => {
+const getNextDoctorQueueNumber = async (doctorProfileId, session = null) => {
   if (!doctorProfileId) return null;
   const key = `doctorQueueNumber:${doctorProfileId}`;
   const counter = await Counter.findOneAndUpdate(
     { key },
     { $inc: { seq: 1 } },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
   );
   return Number(counter.seq);
 };
@@ -80,17 +93,11 @@ const renumberAllAppointments = async () => {
   return seq;
 };
 
-const ensureQrForAppointment = async (appointment, extraPayload = {}) => {
+const ensureQrForAppointment = async (appointment) => {
   if (!appointment) return appointment;
   await ensureBookingNumber(appointment);
-  const patient = appointment.user
-    ? await User.findById(appointment.user)
-        .select("name phone age")
-        .lean()
-        .exec()
-    : null;
-
-  // normalize doctor name on the record and in QR payload
+
+  // normalize doctor name on the record
   const prefixedDoctor = ensureDoctorPrefix(appointment.doctorName);
   if (prefixedDoctor && prefixedDoctor !== appointment.doctorName) {
     appointment.doctorName = prefixedDoctor;
@@ -101,105 +108,12 @@ const ensureQrForAppointment = async (appointment, extraPayload = {}) => {
     }
   }
 
-  const systemBookingNumber = String(appointment.bookingNumber || "");
-  const doctorQueueNumber =
-    appointment.doctorQueueNumber === 0 ||
-    typeof appointment.doctorQueueNumber === "number"
-      ? Number(appointment.doctorQueueNumber)
-      : null;
-  const displayedBookingNumber = doctorQueueNumber
-    ? String(doctorQueueNumber)
-    : systemBookingNumber;
-
-  // force regenerate if QR missing or doesn't include current booking number
-  let needsRegenerate = true;
-  if (appointment.qrCode && appointment.qrPayload) {
-    try {
-      const parsed = JSON.parse(appointment.qrPayload);
-      const parsedBooking = String(parsed?.bookingNumber ?? "");
-      const parsedSystem = String(
-        parsed?.systemBookingNumber ?? parsed?.globalBookingNumber ?? ""
-      );
-      const parsedAge =
-        parsed?.patientAge ??
-        parsed?.age ??
-        parsed?.userAge ??
-        parsed?.patient_age;
-
-      const expectedServiceName =
-        typeof appointment?.service?.name === "string" && appointment.service.name.trim()
-          ? appointment.service.name.trim()
-          : "";
-      const parsedServiceName = String(parsed?.serviceName ?? parsed?.service?.name ?? "").trim();
-      if (
-        parsedBooking === displayedBookingNumber &&
-        (parsedSystem === "" ||
-          parsedSystem === systemBookingNumber ||
-          parsedBooking === systemBookingNumber) &&
-        (patient?.age == null || String(parsedAge ?? "").trim() !== "") &&
-        (!expectedServiceName || parsedServiceName === expectedServiceName)
-      ) {
-        needsRegenerate = false;
-      }
-    } catch (e) {
-      needsRegenerate = true;
-    }
-  }
-
-  if (!needsRegenerate) return appointment;
-
-  const serviceName =
-    typeof appointment?.service?.name === "string" && appointment.service.name.trim()
-      ? appointment.service.name.trim()
-      : null;
-  const servicePriceRaw = appointment?.service?.price;
-  const servicePrice =
-    typeof servicePriceRaw === "number" ? servicePriceRaw : Number(servicePriceRaw);
-  const serviceDurationRaw = appointment?.service?.durationMinutes;
-  const serviceDurationMinutes =
-    typeof serviceDurationRaw === "number" ? serviceDurationRaw : Number(serviceDurationRaw);
-  const serviceId = appointment?.service?.serviceId
-    ? appointment.service.serviceId.toString?.() || appointment.service.serviceId
-    : null;
-
-  const payload = {
-    appointmentId: appointment._id,
-    // What the doctor sees as the booking number (1,2,3... per doctor)
-    bookingNumber: displayedBookingNumber,
-    doctorQueueNumber,
-    // Stable global booking number (monotonic across the system)
-    systemBookingNumber,
-    userId: appointment.user?.toString?.() || appointment.user,
-    patientName: patient?.name,
-    patientPhone: patient?.phone,
-    patientAge: patient?.age,
-    doctorName: appointment.doctorName,
-    appointmentDate: appointment.appointmentDate,
-    appointmentTime: appointment.appointmentTime,
-    status: appointment.status,
-    serviceName,
-    servicePrice: Number.isFinite(servicePrice) ? servicePrice : null,
-    serviceDurationMinutes: Number.isFinite(serviceDurationMinutes) ? serviceDurationMinutes : null,
-    service: serviceName
-      ? {
-          serviceId,
-          name: serviceName,
-          price: Number.isFinite(servicePrice) ? servicePrice : null,
-          durationMinutes: Number.isFinite(serviceDurationMinutes)
-            ? serviceDurationMinutes
-            : null,
-        }
-      : null,
-    ...extraPayload,
-  };
+  // Signed token (id, queue number, date) only; it changes whenever one of them does.
+  const qrPayload = signQrToken(appointment);
+  if (appointment.qrCode && appointment.qrPayload === qrPayload) return appointment;
 
-  const qrPayload = JSON.stringify(payload);
   try {
-    const qrCode = await QRCode.toDataURL(qrPayload, {
-      errorCorrectionLevel: "M",
-    });
-    appointment.qrCode = qrCode;
-    appointment.qrPayload = qrPayload;
+    await attachQrCode(appointment);
     await appointment.save();
   } catch (qrErr) {
     console.error("QR generate error:", qrErr?.message);
@@ -222,6 +136,49 @@ const releaseBookingNumber = async (appointment) => {
   }
 };
 
+// Block + subscription checks shared by booking and rescheduling.
+// Returns { ok: true } or { ok: false, status, message }.
+const checkDoctorBookableFor = async (linkedDoctor, patientId) => {
+  // Block booking if doctor blocked this patient
+  const block = await Block.findOne({
+    doctor: linkedDoctor.user,
+    patient: patientId,
+  });
+  if (block?.blockBooking) {
+    return { ok: false, status: 403, message: "لا يمكنك الحجز لدى هذا الطبيب بسبب الحظر" };
+  }
+
+  // Block booking if doctor's subscription is expired
+  try {
+    const now = new Date();
+    if (!linkedDoctor.subscriptionEndsAt) {
+      return {
+        ok: false,
+        status: 403,
+        message: "لا يمكن الحجز لدى هذا الطبيب لأنه لا يملك اشتراكاً فعالاً",
+      };
+    }
+
+    if (new Date(linkedDoctor.subscriptionEndsAt) < now) {
+      // optional: allow within grace period
+      if (
+        !linkedDoctor.subscriptionGraceEndsAt ||
+        new Date(linkedDoctor.subscriptionGraceEndsAt) < now
+      ) {
+        return {
+          ok: false,
+          status: 403,
+          message: "لا يمكن الحجز لدى هذا الطبيب لأن اشتراكه منتهي",
+        };
+      }
+    }
+  } catch (err) {
+    console.error("Subscription check error:", err?.message);
+  }
+
+  return { ok: true };
+};
+
 const router = express.Router();
 
 /**
@@ -229,7 +186,7 @@ const router = express.Router();
  * @desc  Book a new appointment
  * @access Private
  */
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, idempotency("appointments:create"), async (req, res) => {
   try {
     const {
       doctorName,
@@ -243,6 +200,8 @@ router.post("/", authMiddleware, async (req, res) => {
       appointmentDateIso,
       appointmentTimeValue,
       serviceId,
+      dependentId,
+      locationId,
     } = req.body;
 
     if (
@@ -258,6 +217,17 @@ router.post("/", authMiddleware, async (req, res) => {
         .json({ message: "All appointment fields are required" });
     }
 
+    // Booking on behalf of a family member stored on the account
+    let dependent = null;
+    if (dependentId) {
+      const owner = await User.findById(req.user.id).select("dependents");
+      const found = owner?.dependents?.id?.(dependentId);
+      if (!found) {
+        return res.status(404).json({ message: "الفرد المحدد غير موجود ضمن أفراد العائلة" });
+      }
+      dependent = toDependentSnapshot(found);
+    }
+
     let linkedDoctor = null;
     if (doctorId) {
       linkedDoctor = await DoctorProfile.findById(doctorId);
@@ -268,15 +238,29 @@ router.post("/", authMiddleware, async (req, res) => {
 
     // Resolve selected service (server-derived price + duration)
     let resolvedService = null;
+    let svc = null;
     if (linkedDoctor && serviceId) {
-      const svc = await DoctorService.findOne({
+      svc = await DoctorService.findOne({
         _id: serviceId,
         doctorProfile: linkedDoctor._id,
         isActive: true,
-      }).select("name price durationMinutes");
+      }).select("name price durationMinutes location");
       if (!svc) {
         return res.status(400).json({ message: "الخدمة المختارة غير متاحة لدى هذا الطبيب" });
       }
+    }
+
+    // Clinic of the visit; without locationId the profile's main clinic is used
+    let location = null;
+    if (linkedDoctor) {
+      const resolvedLocation = await resolveBookingLocation({ profile: linkedDoctor, locationId, service: svc });
+      if (!resolvedLocation.ok) {
+        return res.status(resolvedLocation.status).json({ message: resolvedLocation.message });
+      }
+      location = resolvedLocation.location;
+    }
+
+    if (svc) {
       resolvedService = {
         serviceId: svc._id,
         name: svc.name,
@@ -289,7 +273,7 @@ router.post("/", authMiddleware, async (req, res) => {
         serviceId: null,
         name: "",
         price: Number(linkedDoctor.consultationFee) || 0,
-        durationMinutes: Number(linkedDoctor.schedule?.duration) || 0,
+        durationMinutes: Number((location || linkedDoctor).schedule?.duration) || 0,
       };
     }
 
@@ -303,39 +287,9 @@ router.post("/", authMiddleware, async (req, res) => {
         : appointmentTime;
 
     if (linkedDoctor) {
-      // Block booking if doctor blocked this patient
-      const block = await Block.findOne({
-        doctor: linkedDoctor.user,
-        patient: req.user.id,
-      });
-      if (block?.blockBooking) {
-        return res
-          .status(403)
-          .json({ message: "لا يمكنك الحجز لدى هذا الطبيب بسبب الحظر" });
-      }
-
-      // Block booking if doctor's subscription is expired
-      try {
-        const now = new Date();
-        if (!linkedDoctor.subscriptionEndsAt) {
-          return res.status(403).json({
-            message: "لا يمكن الحجز لدى هذا الطبيب لأنه لا يملك اشتراكاً فعالاً",
-          });
-        }
-
-        if (new Date(linkedDoctor.subscriptionEndsAt) < now) {
-          // optional: allow within grace period
-          if (
-            !linkedDoctor.subscriptionGraceEndsAt ||
-            new Date(linkedDoctor.subscriptionGraceEndsAt) < now
-          ) {
-            return res.status(403).json({
-              message: "لا يمكن الحجز لدى هذا الطبيب لأن اشتراكه منتهي",
-            });
-          }
-        }
-      } catch (err) {
-        console.error("Subscription check error:", err?.message);
+      const bookable = await checkDoctorBookableFor(linkedDoctor, req.user.id);
+      if (!bookable.ok) {
+        return res.status(bookable.status).json({ message: bookable.message });
       }
 
       if (!normalizedDateIso || !normalizedTimeValue) {
@@ -343,83 +297,114 @@ router.post("/", authMiddleware, async (req, res) => {
           .status(400)
           .json({ message: "يجب اختيار تاريخ ووقت صالحين من جدول الطبيب" });
       }
-      const conflictFilter = {
-        doctorProfile: linkedDoctor._id,
-        status: { $in: ["pending", "confirmed"] },
-      };
-      conflictFilter.appointmentDateIso = normalizedDateIso;
-      conflictFilter.appointmentTimeValue = normalizedTimeValue;
-
-      const conflict = await Appointment.findOne(conflictFilter);
-        // Debug: طباعة الفلتر ونتيجة البحث عن التعارض
-        console.log("[حجز] فلتر التعارض:", conflictFilter);
-        console.log("[حجز] نتيجة التعارض:", conflict);
-      if (conflict) {
-        // فقط إذا كان الحجز لنفس الوقت والطبيب
-        if (
-          conflict.doctorProfile.toString() === linkedDoctor._id.toString() &&
-          conflict.appointmentDateIso === normalizedDateIso &&
-          conflict.appointmentTimeValue === normalizedTimeValue
-        ) {
-          console.log("[حجز] تعارض في الموعد:", {
-            doctorProfile: linkedDoctor._id,
-            appointmentDateIso: normalizedDateIso,
-            appointmentTimeValue: normalizedTimeValue,
-            status: conflict.status,
-            conflictId: conflict._id,
-          });
-          return res
-            .status(409)
-            .json({ message: "هذا الموعد محجوز مسبقاً، اختر وقتاً آخر", conflict });
-        }
+      // Only accept times that are real slots of the doctor's schedule
+      const slotCheck = await checkSlotBookable({
+        profile: linkedDoctor,
+        location,
+        dateIso: normalizedDateIso,
+        timeValue: normalizedTimeValue,
+        durationMinutes: resolvedService?.durationMinutes,
+      });
+      if (!slotCheck.ok) {
+        return res.status(slotCheck.status).json({ message: slotCheck.message });
+      }
+
+      // A slot freed by a cancellation is reserved for the waitlisted patient until the hold expires
+      const heldForOther = await isSlotHeldForOther({
+        doctorProfileId: linkedDoctor._id,
+        dateIso: normalizedDateIso,
+        timeValue: normalizedTimeValue,
+        userId: req.user.id,
+      });
+      if (heldForOther) {
+        return res
+          .status(409)
+          .json({ message: "هذا الموعد محجوز مؤقتاً لمراجع من قائمة الانتظار، اختر وقتاً آخر" });
       }
     }
 
     const normalizedDoctorName = ensureDoctorPrefix(doctorName);
 
-    // تحقق إذا كان لدى المستخدم حجز في نفس اليوم
-    const userHasAppointment = await Appointment.findOne({
-      user: req.user.id,
-      doctorProfile: linkedDoctor ? linkedDoctor._id : null,
-      appointmentDateIso: normalizedDateIso,
-      status: { $in: ["pending", "confirmed"] },
+    // Conflict checks, both counters, the appointment and its QR commit together
+    const booking = await withTransaction(async (session) => {
+      if (linkedDoctor) {
+        const conflict = await Appointment.findOne({
+          doctorProfile: linkedDoctor._id,
+          status: { $in: BUSY_STATUSES },
+          appointmentDateIso: normalizedDateIso,
+          appointmentTimeValue: normalizedTimeValue,
+        }).session(session);
+        if (conflict) return { conflict };
+      }
+
+      // تحقق إذا كان لدى المستخدم حجز في نفس اليوم (لكل فرد على حدة)
+      const userHasAppointment = await Appointment.findOne({
+        user: req.user.id,
+        "dependent.dependentId": dependent ? dependent.dependentId : null,
+        doctorProfile: linkedDoctor ? linkedDoctor._id : null,
+        appointmentDateIso: normalizedDateIso,
+        status: { $in: BUSY_STATUSES },
+      }).session(session);
+      if (userHasAppointment) return { sameDay: true };
+
+      // حساب رقم الدور للطبيب حسب اليوم
+      let doctorQueueNumber = null;
+      if (linkedDoctor) {
+        // استخدم عداد منفصل لكل طبيب ولكل يوم
+        const counterKey = `doctorQueueNumber:${linkedDoctor._id}:${normalizedDateIso}`;
+        const counter = await Counter.findOneAndUpdate(
+          { key: counterKey },
+          { $inc: { seq: 1 } },
+          { new: true, upsert: true, setDefaultsOnInsert: true, session }
+        );
+        doctorQueueNumber = counter.seq;
+      }
+
+      const appointment = new Appointment({
+        user: req.user.id,
+        doctorName: normalizedDoctorName,
+        doctorRole,
+        specialty,
+        specialtySlug,
+        appointmentDate,
+        appointmentDateIso: normalizedDateIso,
+        appointmentTime,
+        appointmentTimeValue: normalizedTimeValue,
+        doctorProfile: linkedDoctor ? linkedDoctor._id : null,
+        notes,
+        bookingNumber: await getNextBookingNumber(session),
+        doctorQueueNumber: doctorQueueNumber,
+        ...(resolvedService ? { service: resolvedService } : {}),
+        ...(dependent ? { dependent } : {}),
+        ...(location ? { location: toLocationSnapshot(location) } : {}),
+      });
+      await attachQrCode(appointment);
+      await appointment.save({ session });
+      return { appointment };
     });
-    if (userHasAppointment) {
+
+    if (booking.conflict) {
+      return res.status(409).json({
+        message: "هذا الموعد محجوز مسبقاً، اختر وقتاً آخر",
+        conflict: booking.conflict,
+        canJoinWaitlist: true,
+      });
+    }
+    if (booking.sameDay) {
       return res.status(409).json({
         message: "لا يمكنك الحجز أكثر من مرة في نفس اليوم مع نفس الطبيب",
       });
     }
+    const newAppointment = booking.appointment;
 
-    // حساب رقم الدور للطبيب حسب اليوم
-    let doctorQueueNumber = null;
     if (linkedDoctor) {
-      // استخدم عداد منفصل لكل طبيب ولكل يوم
-      const counterKey = `doctorQueueNumber:${linkedDoctor._id}:${normalizedDateIso}`;
-      const counter = await Counter.findOneAndUpdate(
-        { key: counterKey },
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true, setDefaultsOnInsert: true }
-      );
-      doctorQueueNumber = counter.seq;
+      await markWaitlistBooked({
+        userId: req.user.id,
+        doctorProfileId: linkedDoctor._id,
+        dateIso: normalizedDateIso,
+        appointmentId: newAppointment._id,
+      });
     }
-    const newAppointment = await Appointment.create({
-      user: req.user.id,
-      doctorName: normalizedDoctorName,
-      doctorRole,
-      specialty,
-      specialtySlug,
-      appointmentDate,
-      appointmentDateIso: normalizedDateIso,
-      appointmentTime,
-      appointmentTimeValue: normalizedTimeValue,
-      doctorProfile: linkedDoctor ? linkedDoctor._id : null,
-      notes,
-      bookingNumber: await getNextBookingNumber(),
-      doctorQueueNumber: doctorQueueNumber,
-      ...(resolvedService ? { service: resolvedService } : {}),
-    });
-
-    await ensureQrForAppointment(newAppointment);
 
     await newAppointment.populate({
       path: "doctorProfile",
@@ -431,7 +416,9 @@ router.post("/", authMiddleware, async (req, res) => {
     if (linkedDoctor && linkedDoctor.user) {
       try {
         const patient = await User.findById(req.user.id).select("name");
-        const patientName = patient?.name || "مريض جديد";
+        const patientName = dependent
+          ? `${dependent.name} (عبر ${patient?.name || "حساب العائلة"})`
+          : patient?.name || "مريض جديد";
 
         await sendPushToUser(linkedDoctor.user, {
           title: "حجز جديد",
@@ -456,7 +443,7 @@ router.post("/", authMiddleware, async (req, res) => {
     if (err.code === 11000) {
       return res
         .status(409)
-        .json({ message: "هذا الموعد محجوز مسبقاً، اختر وقتاً آخر", error: err });
+        .json({ message: "هذا الموعد محجوز مسبقاً، اختر وقتاً آخر", error: err, canJoinWaitlist: true });
     }
     return res.status(500).json({ message: "Server error", error: err });
   }
@@ -464,19 +451,37 @@ router.post("/", authMiddleware, async (req, res) => {
 
 /**
  * @route GET /api/appointments
- * @desc  Get current user's bookings
+ * @desc  Get current user's bookings (cursor paginated, see utils/pagination.js)
+ *        ?status=&from=&to=&doctor=&specialty=&sort=createdAt|appointmentDateIso
  * @access Private
  */
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const appointments = await Appointment.find({ user: req.user.id })
+    const list = parseListQuery(req.query, {
+      sortFields: ["createdAt", "appointmentDateIso"],
+      defaultSort: "-createdAt",
+      legacyUnbounded: true,
+    });
+    const filter = {
+      ...buildListFilter(
+        req.query,
+        { status: "status", dateIso: "appointmentDateIso", doctor: "doctorProfile", specialty: "specialtySlug" },
+        { statuses: APPOINTMENT_STATUSES }
+      ),
+      user: req.user.id,
+    };
+    const page = pageQuery(list, filter);
+
+    const docs = await Appointment.find(page.filter)
       .select("-qrCode -qrPayload")
       .populate({
         path: "doctorProfile",
         select:
           "avatarUrl location locationLat locationLng displayName specialtyLabel bio consultationFee secretaryPhone",
       })
-      .sort({ createdAt: -1 });
+      .sort(page.sort)
+      .limit(page.limit);
+    const { items: appointments, nextCursor } = toPage(docs, list);
 
     // Ensure doctor names are consistently prefixed for legacy rows
     appointments.forEach((appt) => {
@@ -524,13 +529,55 @@ router.get("/", authMiddleware, async (req, res) => {
     });
 
     // إرجاع الباركود وتفاصيله مع كل موعد
-    return res.json({ appointments });
+    // `appointments` mirrors `items` for clients that predate the list envelope
+    return res.json({ items: appointments, nextCursor, appointments });
   } catch (err) {
+    if (isListQueryError(err)) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     console.error("Fetch appointments error:", err.message);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
+/**
+ * @route GET /api/appointments/verify-qr?token=
+ * @desc  Check a scanned booking QR (signature + current booking state)
+ * @access Public
+ */
+router.get("/verify-qr", async (req, res) => {
+  try {
+    const raw = req.query.token || req.query.payload;
+    if (!raw || typeof raw !== "string") {
+      return res.status(400).json({ valid: false, message: "رمز QR غير صالح" });
+    }
+
+    const scanned = await resolveScannedQr(raw, { allowLegacy: false });
+    if (!scanned.ok) {
+      return res.status(scanned.status).json({ valid: false, message: scanned.message });
+    }
+
+    // No patient details here: the endpoint is public
+    const { appointment, legacy } = scanned;
+    return res.json({
+      valid: true,
+      legacy,
+      appointment: {
+        _id: appointment._id,
+        status: appointment.status,
+        doctorName: appointment.doctorName,
+        appointmentDate: appointment.appointmentDate,
+        appointmentDateIso: appointment.appointmentDateIso,
+        appointmentTime: appointment.appointmentTime,
+        doctorQueueNumber: appointment.doctorQueueNumber,
+      },
+    });
+  } catch (err) {
+    console.error("Verify QR error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 /**
  * @route GET /api/appointments/:id
  * @desc  Get one appointment details (includes QR)
@@ -567,6 +614,8 @@ router.get("/:id", authMiddleware, async (req, res) => {
         "avatarUrl location locationLat locationLng displayName specialtyLabel bio consultationFee secretaryPhone",
     });
 
+    await appointment.populate({ path: "statusHistory.by", select: "name role" });
+
     // Generate QR only when requested on details.
     await ensureQrForAppointment(appointment);
 
@@ -593,32 +642,55 @@ router.patch("/:id/cancel", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    appointment.status = "cancelled";
+    const doctorProfile = appointment.doctorProfile
+      ? await DoctorProfile.findById(appointment.doctorProfile).select("user displayName cancellationPolicy")
+      : null;
+
+    let lateCancellation = false;
+    if (doctorProfile && canTransition(appointment.status, "cancelled")) {
+      const policyCheck = await checkPatientCancellation({
+        appointment,
+        profile: doctorProfile,
+        patientId: req.user.id,
+      });
+      if (!policyCheck.ok) {
+        return res
+          .status(409)
+          .json({ message: policyCheck.message, code: policyCheck.code, policy: policyCheck.policy });
+      }
+      lateCancellation = policyCheck.late;
+    }
+
+    // Under the doctor's policy a late cancellation is recorded as a missed visit
+    transitionStatus(appointment, lateCancellation ? "no_show" : "cancelled", {
+      by: req.user.id,
+      byRole: "patient",
+      reason: lateCancellation ? "Late cancellation" : req.body?.reason,
+    });
     await appointment.save();
 
+    if (lateCancellation) {
+      await applyNoShowPolicy({ patientId: req.user.id, doctorProfile });
+    }
+
     //            : notify doctor when patient cancels
     try {
-      if (appointment.doctorProfile) {
-        const doctorProfile = await DoctorProfile.findById(appointment.doctorProfile)
-          .select("user displayName")
-          .lean();
-        if (doctorProfile?.user) {
-          const patient = await User.findById(req.user.id).select("name").lean();
-          const patientName = patient?.name || "    ";
-          const doctorName = ensureDoctorPrefix(doctorProfile.displayName);
-          const apptDate = appointment.appointmentDate || appointment.appointmentDateIso || "";
-          const apptTime = appointment.appointmentTime || appointment.appointmentTimeValue || "";
-
-          await sendPushToUser(doctorProfile.user, {
-            title: "تم إلغاء حجز",
-            body: `قام ${patientName} بإلغاء الحجز${doctorName ? ` لدى ${doctorName}` : ""}${apptDate ? ` بتاريخ ${apptDate}` : ""}${apptTime ? ` في ${apptTime}` : ""}`,
-            data: {
-              type: "appointment_cancelled",
-              appointmentId: String(appointment._id),
-              role: "doctor",
-            },
-          });
-        }
+      if (doctorProfile?.user) {
+        const patient = await User.findById(req.user.id).select("name").lean();
+        const patientName = patient?.name || "    ";
+        const doctorName = ensureDoctorPrefix(doctorProfile.displayName);
+        const apptDate = appointment.appointmentDate || appointment.appointmentDateIso || "";
+        const apptTime = appointment.appointmentTime || appointment.appointmentTimeValue || "";
+
+        await sendPushToUser(doctorProfile.user, {
+          title: "تم إلغاء حجز",
+          body: `قام ${patientName} بإلغاء الحجز${doctorName ? ` لدى ${doctorName}` : ""}${apptDate ? ` بتاريخ ${apptDate}` : ""}${apptTime ? ` في ${apptTime}` : ""}`,
+          data: {
+            type: "appointment_cancelled",
+            appointmentId: String(appointment._id),
+            role: "doctor",
+          },
+        });
       }
     } catch (pushErr) {
       console.error("Push to doctor (patient cancel) error:", pushErr?.message);
@@ -626,11 +698,303 @@ router.patch("/:id/cancel", authMiddleware, async (req, res) => {
 
     await releaseBookingNumber(appointment);
 
-    return res.json({ appointment });
+    await offerFreedSlot(appointment);
+
+    return res.json({ appointment, lateCancellation });
   } catch (err) {
+    if (isTransitionError(err)) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     console.error("Cancel appointment error:", err.message);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
+/**
+ * @route   POST /api/appointments/:id/review
+ * @desc    Rate (1-5) and review the doctor of a completed appointment, once
+ * @access  Private (patient who booked)
+ */
+router.post("/:id/review", authMiddleware, async (req, res) => {
+  try {
+    const rating = Number(req.body?.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ message: "التقييم يجب أن يكون رقمًا صحيحًا من 1 إلى 5" });
+    }
+    const comment = typeof req.body?.comment === "string" ? req.body.comment.trim() : "";
+    if (comment.length > REVIEW_COMMENT_MAX) {
+      return res.status(400).json({ message: `التعليق يجب ألا يتجاوز ${REVIEW_COMMENT_MAX} حرف` });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: "Appointment not found" });
+    }
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+    if (appointment.status !== "completed" || !appointment.doctorProfile) {
+      return res.status(409).json({ message: "يمكن تقييم الطبيب بعد اكتمال الموعد فقط" });
+    }
+
+    const review = await Review.create({
+      appointment: appointment._id,
+      doctorProfile: appointment.doctorProfile,
+      patient: req.user.id,
+      rating,
+      comment,
+    });
+    const summary = await refreshDoctorRating(appointment.doctorProfile);
+
+    try {
+      const doctorProfile = await DoctorProfile.findById(appointment.doctorProfile).select("user");
+      if (doctorProfile?.user) {
+        await sendPushToUser(doctorProfile.user, {
+          title: "تقييم جديد",
+          body: `حصلت على تقييم ${rating} من 5${comment ? `: ${comment.slice(0, 80)}` : ""}`,
+          data: {
+            type: "review_created",
+            appointmentId: String(appointment._id),
+            role: "doctor",
+          },
+        });
+      }
+    } catch (pushErr) {
+      console.error("Push to doctor (review) error:", pushErr?.message);
+    }
+
+    return res.status(201).json({ review, rating: summary });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: "تم تقييم هذا الموعد مسبقًا" });
+    }
+    console.error("Create review error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   GET /api/appointments/:id/visit-notes
+ * @desc    The doctor's visit note for the patient's own booking, with its amendment trail
+ * @access  Private
+ */
+router.get("/:id/visit-notes", authMiddleware, async (req, res) => {
+  try {
+    const appointmentId = req.params.id;
+    if (!appointmentId || !appointmentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: "Invalid appointment id" });
+    }
+
+    const appointment = await Appointment.findById(appointmentId).select("user");
+    if (!appointment) {
+      return res.status(404).json({ message: "Appointment not found" });
+    }
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const { current, versions } = await loadVisitNoteHistory(appointment._id);
+    return res.json({ visitNote: current, versions });
+  } catch (err) {
+    console.error("Patient visit notes error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   PATCH /api/appointments/:id/reschedule
+ * @desc    Move a booking to another free slot (keeps the booking, records history)
+ * @access  Private
+ */
+router.patch("/:id/reschedule", authMiddleware, async (req, res) => {
+  try {
+    const appointmentId = req.params.id;
+    if (!appointmentId || !appointmentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: "Invalid appointment id" });
+    }
+
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ message: "Appointment not found" });
+    }
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+    if (!["pending", "confirmed"].includes(appointment.status)) {
+      return res.status(409).json({ message: "لا يمكن تعديل موعد ملغى أو مكتمل" });
+    }
+    if (!appointment.doctorProfile) {
+      return res.status(400).json({ message: "لا يمكن تعديل موعد غير مرتبط بطبيب" });
+    }
+
+    const { appointmentDate, appointmentTime, appointmentDateIso, appointmentTimeValue } = req.body || {};
+    if (!appointmentDate || !appointmentTime) {
+      return res.status(400).json({ message: "يجب اختيار تاريخ ووقت صالحين من جدول الطبيب" });
+    }
+    const normalizedDateIso =
+      typeof appointmentDateIso === "string" && appointmentDateIso
+        ? appointmentDateIso
+        : appointmentDate;
+    const normalizedTimeValue =
+      typeof appointmentTimeValue === "string" && appointmentTimeValue
+        ? appointmentTimeValue
+        : appointmentTime;
+
+    if (
+      normalizedDateIso === appointment.appointmentDateIso &&
+      normalizedTimeValue === appointment.appointmentTimeValue
+    ) {
+      return res.status(400).json({ message: "الموعد الجديد مطابق للموعد الحالي" });
+    }
+
+    const linkedDoctor = await DoctorProfile.findById(appointment.doctorProfile);
+    if (!linkedDoctor) {
+      return res.status(404).json({ message: "Doctor not found" });
+    }
+
+    const bookable = await checkDoctorBookableFor(linkedDoctor, req.user.id);
+    if (!bookable.ok) {
+      return res.status(bookable.status).json({ message: bookable.message });
+    }
+
+    const slotCheck = await checkSlotBookable({
+      profile: linkedDoctor,
+      location: await loadAppointmentLocation(appointment),
+      dateIso: normalizedDateIso,
+      timeValue: normalizedTimeValue,
+      durationMinutes: appointment.service?.durationMinutes,
+      excludeAppointmentId: appointment._id,
+    });
+    if (!slotCheck.ok) {
+      return res.status(slotCheck.status).json({ message: slotCheck.message });
+    }
+
+    const heldForOther = await isSlotHeldForOther({
+      doctorProfileId: linkedDoctor._id,
+      dateIso: normalizedDateIso,
+      timeValue: normalizedTimeValue,
+      userId: req.user.id,
+    });
+    if (heldForOther) {
+      return res
+        .status(409)
+        .json({ message: "هذا الموعد محجوز مؤقتاً لمراجع من قائمة الانتظار، اختر وقتاً آخر" });
+    }
+
+    const dateChanged = normalizedDateIso !== appointment.appointmentDateIso;
+    if (dateChanged) {
+      const sameDay = await Appointment.findOne({
+        _id: { $ne: appointment._id },
+        user: req.user.id,
+        "dependent.dependentId": appointment.dependent?.dependentId || null,
+        doctorProfile: linkedDoctor._id,
+        appointmentDateIso: normalizedDateIso,
+        status: { $in: BUSY_STATUSES },
+      }).select("_id");
+      if (sameDay) {
+        return res.status(409).json({
+          message: "لا يمكنك الحجز أكثر من مرة في نفس اليوم مع نفس الطبيب",
+        });
+      }
+    }
+
+    // Queue numbers are per doctor per day: keep it on the same day, take a new one otherwise.
+    let doctorQueueNumber = appointment.doctorQueueNumber;
+    if (dateChanged) {
+      const counter = await Counter.findOneAndUpdate(
+        { key: `doctorQueueNumber:${linkedDoctor._id}:${normalizedDateIso}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      doctorQueueNumber = counter.seq;
+    }
+
+    // Conditional update: fails if the booking changed meanwhile; the unique
+    // slot index rejects a concurrent booking of the target slot.
+    const updated = await Appointment.findOneAndUpdate(
+      {
+        _id: appointment._id,
+        user: req.user.id,
+        status: appointment.status,
+        appointmentDateIso: appointment.appointmentDateIso,
+        appointmentTimeValue: appointment.appointmentTimeValue,
+      },
+      {
+        $set: {
+          appointmentDate,
+          appointmentDateIso: normalizedDateIso,
+          appointmentTime,
+          appointmentTimeValue: normalizedTimeValue,
+          doctorQueueNumber,
+          qrCode: "",
+          qrPayload: "",
+          patientReminderFor: "",
+          patientReminderSentAt: null,
+        },
+        $push: {
+          rescheduleHistory: {
+            fromDate: appointment.appointmentDate,
+            fromDateIso: appointment.appointmentDateIso,
+            fromTime: appointment.appointmentTime,
+            fromTimeValue: appointment.appointmentTimeValue,
+            toDate: appointmentDate,
+            toDateIso: normalizedDateIso,
+            toTime: appointmentTime,
+            toTimeValue: normalizedTimeValue,
+            changedBy: req.user.id,
+            changedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "تم تعديل الحجز من جهة أخرى، حدّث الصفحة وحاول مجدداً" });
+    }
+
+    await ensureQrForAppointment(updated);
+
+    // The previous slot is free now
+    await offerFreedSlot(appointment);
+    await markWaitlistBooked({
+      userId: req.user.id,
+      doctorProfileId: linkedDoctor._id,
+      dateIso: normalizedDateIso,
+      appointmentId: updated._id,
+    });
+
+    try {
+      if (linkedDoctor.user) {
+        const patient = await User.findById(req.user.id).select("name").lean();
+        const patientName = patient?.name || "مراجع";
+        await sendPushToUser(linkedDoctor.user, {
+          title: "تم تعديل موعد",
+          body: `قام ${patientName} بنقل موعده من ${appointment.appointmentDate} ${appointment.appointmentTime} إلى ${appointmentDate} ${appointmentTime}`,
+          data: {
+            type: "appointment_rescheduled",
+            appointmentId: String(updated._id),
+            role: "doctor",
+          },
+        });
+      }
+    } catch (pushErr) {
+      console.error("Push to doctor (reschedule) error:", pushErr?.message);
+    }
+
+    await updated.populate({
+      path: "doctorProfile",
+      select:
+        "avatarUrl location locationLat locationLng displayName specialtyLabel bio consultationFee secretaryPhone",
+    });
+
+    return res.json({ appointment: updated });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: "هذا الموعد محجوز مسبقاً، اختر وقتاً آخر" });
+    }
+    console.error("Reschedule appointment error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,7 @@ const express = require("express");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const DoctorProfile = require("../models/DoctorProfile");
 const Appointment = require("../models/Appointment");
@@ -10,8 +11,21 @@ const DoctorService = require("../models/DoctorService");
 const Block = require("../models/Block");
 const Message = require("../models/Message");
 const AuditLog = require("../models/AuditLog");
+const Review = require("../models/Review");
+const VisitNote = require("../models/VisitNote");
 const authMiddleware = require("../middleware/authMiddleware");
+const { ensureDoctorPrefix } = require("../utils/doctorName");
 const sendSms = require("../utils/sendSms");
+const { isValidDateIso, formatYmd } = require("../utils/availability");
+const {
+  DEPENDENT_RELATIONSHIPS,
+  DEPENDENT_SEXES,
+  MAX_DEPENDENTS,
+  ageFromBirthDate,
+} = require("../utils/dependents");
+const { findSpecialty, toProfileSpecialty } = require("../utils/specialties");
+const { refreshDoctorRating } = require("../utils/reviews");
+const { buildDoctorCards } = require("../utils/doctorCards");
 const rateLimit = require("express-rate-limit");
 
 const normalizePhone = (phone) => {
@@ -39,15 +53,6 @@ const isStrongPassword = (pwd) =>
   /[a-z]/.test(pwd) &&
   /\d/.test(pwd);
 
-// Ensure doctor names always start with the Arabic prefix "د. "
-const ensureDoctorPrefix = (rawName = "") => {
-  const name = String(rawName || "").trim();
-  if (!name) return name;
-  const prefixPattern = /^د\s*\.?\s*/i;
-  const stripped = prefixPattern.test(name) ? name.replace(prefixPattern, "").trim() : name;
-  return `د. ${stripped}`;
-};
-
 const router = express.Router();
 
 // Rate limiting (defense-in-depth; server.js already limits /api/auth)
@@ -160,7 +165,6 @@ router.post("/register", registerLimiter, async (req, res) => {
       email,
       password,
       role = "patient",
-      doctorSpecialty,
       doctorSpecialtySlug,
       licenseNumber,
       avatarUrl,
@@ -198,9 +202,10 @@ router.post("/register", registerLimiter, async (req, res) => {
     }
 
     let parsedFee = 0;
+    let catalogueSpecialty = null;
     if (role === "doctor") {
+      // doctorSpecialty (free text) is no longer needed: labels come from the Specialty catalogue
       if (
-        !doctorSpecialty ||
         !doctorSpecialtySlug ||
         !licenseNumber ||
         !avatarUrl ||
@@ -214,6 +219,11 @@ router.post("/register", registerLimiter, async (req, res) => {
           .json({ message: "بيانات الطبيب ناقصة: كل الحقول المهنية مطلوبة" });
       }
 
+      catalogueSpecialty = await findSpecialty(doctorSpecialtySlug);
+      if (!catalogueSpecialty) {
+        return res.status(400).json({ message: "التخصص المحدد غير موجود في قائمة التخصصات" });
+      }
+
       if (!secretaryPhone) {
         return res.status(400).json({ message: "رقم السكرتير مطلوب" });
       }
@@ -271,9 +281,7 @@ router.post("/register", registerLimiter, async (req, res) => {
       const doctorProfile = await DoctorProfile.create({
         user: user._id,
         displayName: ensureDoctorPrefix(name),
-        specialty: doctorSpecialty,
-        specialtySlug: doctorSpecialtySlug,
-        specialtyLabel: doctorSpecialty,
+        ...toProfileSpecialty(catalogueSpecialty),
         licenseNumber,
         avatarUrl,
         location,
@@ -664,6 +672,299 @@ router.patch("/me/password", passwordLimiter, authMiddleware, async (req, res) =
   }
 });
 
+// Validate dependent fields; `partial` allows PATCH bodies. Returns { value } or { error }.
+const normalizeDependentPayload = (body = {}, { partial = false } = {}) => {
+  const value = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 100) return { error: "اسم الفرد مطلوب (100 حرف كحد أقصى)" };
+    value.name = name;
+  }
+
+  if (body.birthDate !== undefined) {
+    const birthDate = String(body.birthDate || "").trim();
+    if (birthDate) {
+      const age = ageFromBirthDate(birthDate);
+      if (!isValidDateIso(birthDate) || age === null || age > 120) {
+        return { error: "تاريخ الميلاد غير صحيح (YYYY-MM-DD)" };
+      }
+    }
+    value.birthDate = birthDate;
+  }
+
+  if (body.sex !== undefined) {
+    const sex = String(body.sex || "").trim();
+    if (sex && !DEPENDENT_SEXES.includes(sex)) return { error: "قيمة الجنس غير صحيحة" };
+    value.sex = sex;
+  }
+
+  if (body.relationship !== undefined || !partial) {
+    const relationship = String(body.relationship || "other").trim();
+    if (!DEPENDENT_RELATIONSHIPS.includes(relationship)) return { error: "صلة القرابة غير صحيحة" };
+    value.relationship = relationship;
+  }
+
+  return { value };
+};
+
+/**
+ * @route   GET /api/auth/me/dependents
+ * @desc    List family members of the current account
+ * @access  Private
+ */
+router.get("/me/dependents", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("dependents");
+    if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    return res.json({ dependents: user.dependents });
+  } catch (err) {
+    console.error("List dependents error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/me/dependents
+ * @desc    Add a family member (name, birthDate, sex, relationship)
+ * @access  Private
+ */
+router.post("/me/dependents", authMiddleware, async (req, res) => {
+  try {
+    const { value, error } = normalizeDependentPayload(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
+    const user = await User.findById(req.user.id).select("name dependents");
+    if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    if (user.dependents.length >= MAX_DEPENDENTS) {
+      return res.status(400).json({ message: `لا يمكن إضافة أكثر من ${MAX_DEPENDENTS} أفراد` });
+    }
+
+    user.dependents.push(value);
+    await user.save();
+    const dependent = user.dependents[user.dependents.length - 1];
+
+    await audit(req, {
+      actorUser: user._id,
+      actorName: user.name,
+      action: "ADD_DEPENDENT",
+      entityType: "User",
+      entityId: user._id,
+      entityName: user.name,
+      details: `added dependent ${dependent._id}`,
+    });
+
+    return res.status(201).json({ dependent });
+  } catch (err) {
+    console.error("Add dependent error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+/**
+ * @route   PATCH /api/auth/me/dependents/:dependentId
+ * @desc    Update a family member (existing bookings keep their snapshot)
+ * @access  Private
+ */
+router.patch("/me/dependents/:dependentId", authMiddleware, async (req, res) => {
+  try {
+    const { value, error } = normalizeDependentPayload(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    const user = await User.findById(req.user.id).select("name dependents");
+    if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    const dependent = user.dependents.id(req.params.dependentId);
+    if (!dependent) return res.status(404).json({ message: "الفرد غير موجود" });
+
+    dependent.set(value);
+    await user.save();
+
+    return res.json({ dependent });
+  } catch (err) {
+    console.error("Update dependent error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/me/dependents/:dependentId
+ * @desc    Remove a family member (past bookings keep their snapshot)
+ * @access  Private
+ */
+router.delete("/me/dependents/:dependentId", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("name dependents");
+    if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    const dependent = user.dependents.id(req.params.dependentId);
+    if (!dependent) return res.status(404).json({ message: "الفرد غير موجود" });
+
+    const upcoming = await Appointment.exists({
+      user: user._id,
+      "dependent.dependentId": dependent._id,
+      status: { $in: ["pending", "confirmed", "checked_in"] },
+    });
+    if (upcoming) {
+      return res.status(409).json({ message: "لدى هذا الفرد حجوزات قائمة، ألغها أولاً" });
+    }
+
+    dependent.deleteOne();
+    await user.save();
+
+    await audit(req, {
+      actorUser: user._id,
+      actorName: user.name,
+      action: "REMOVE_DEPENDENT",
+      entityType: "User",
+      entityId: user._id,
+      entityName: user.name,
+      details: `removed dependent ${req.params.dependentId}`,
+    });
+
+    return res.json({ message: "تم حذف الفرد" });
+  } catch (err) {
+    console.error("Remove dependent error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+const MAX_FAVORITES = 100;
+const RECENT_DOCTORS_DEFAULT = 10;
+const RECENT_DOCTORS_MAX = 20;
+
+/**
+ * @route   GET /api/auth/me/favorites
+ * @desc    Favourite doctors as summary cards (next free slot, block status)
+ * @access  Private
+ */
+router.get("/me/favorites", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("favoriteDoctors");
+    if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    const doctors = await buildDoctorCards({ profileIds: user.favoriteDoctors, patientId: user._id });
+    return res.json({ doctors });
+  } catch (err) {
+    console.error("List favorites error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+/**
+ * @route   POST /api/auth/me/favorites
+ * @desc    Add a doctor to favourites (body: { doctorId }); adding twice is a no-op
+ * @access  Private
+ */
+router.post("/me/favorites", authMiddleware, async (req, res) => {
+  try {
+    const doctorId = req.body?.doctorId;
+    if (!mongoose.isValidObjectId(doctorId)) {
+      return res.status(400).json({ message: "معرّف الطبيب غير صحيح" });
+    }
+    const doctor = await DoctorProfile.findById(doctorId).select("_id");
+    if (!doctor) return res.status(404).json({ message: "الطبيب غير موجود" });
+
+    // Only grows while under the cap; a doctor already in the list matches nothing and is left alone
+    const updated = await User.findOneAndUpdate(
+      { _id: req.user.id, [`favoriteDoctors.${MAX_FAVORITES - 1}`]: { $exists: false } },
+      { $addToSet: { favoriteDoctors: doctor._id } },
+      { new: true, projection: { favoriteDoctors: 1 } }
+    );
+    if (!updated) {
+      const user = await User.findById(req.user.id).select("favoriteDoctors");
+      if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+      if (!user.favoriteDoctors.some((id) => String(id) === String(doctor._id))) {
+        return res.status(409).json({ message: `لا يمكن إضافة أكثر من ${MAX_FAVORITES} طبيب إلى المفضلة` });
+      }
+      return res.json({ favoriteDoctors: user.favoriteDoctors });
+    }
+
+    return res.json({ favoriteDoctors: updated.favoriteDoctors });
+  } catch (err) {
+    console.error("Add favorite error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/me/favorites/:doctorId
+ * @desc    Remove a doctor from favourites
+ * @access  Private
+ */
+router.delete("/me/favorites/:doctorId", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.doctorId)) {
+      return res.status(400).json({ message: "معرّف الطبيب غير صحيح" });
+    }
+    const updated = await User.findByIdAndUpdate(
+      req.user.id,
+      { $pull: { favoriteDoctors: req.params.doctorId } },
+      { new: true, projection: { favoriteDoctors: 1 } }
+    );
+    if (!updated) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    return res.json({ favoriteDoctors: updated.favoriteDoctors });
+  } catch (err) {
+    console.error("Remove favorite error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me/recent-doctors?limit=
+ * @desc    Doctors from the patient's past visits, most recent first, as summary cards
+ * @access  Private
+ */
+router.get("/me/recent-doctors", authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || RECENT_DOCTORS_DEFAULT, RECENT_DOCTORS_MAX));
+    const user = await User.findById(req.user.id).select("favoriteDoctors");
+    if (!user) return res.status(404).json({ message: "المستخدم غير موجود" });
+
+    const todayIso = formatYmd(new Date());
+    const rows = await Appointment.aggregate([
+      {
+        $match: {
+          user: user._id,
+          doctorProfile: { $ne: null },
+          status: { $nin: ["cancelled", "pending"] },
+          appointmentDateIso: { $type: "string", $ne: "", $lte: todayIso },
+        },
+      },
+      {
+        $group: {
+          _id: "$doctorProfile",
+          lastVisitDate: { $max: "$appointmentDateIso" },
+          visitsCount: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+        },
+      },
+      { $sort: { lastVisitDate: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+
+    const favorites = new Set(user.favoriteDoctors.map(String));
+    const extras = new Map(
+      rows.map((row) => [
+        String(row._id),
+        { lastVisitDate: row.lastVisitDate, visitsCount: row.visitsCount, isFavorite: favorites.has(String(row._id)) },
+      ])
+    );
+    const doctors = await buildDoctorCards({
+      profileIds: rows.map((row) => row._id),
+      patientId: user._id,
+      extras,
+    });
+
+    return res.json({ doctors });
+  } catch (err) {
+    console.error("Recent doctors error:", err);
+    return res.status(500).json({ message: "خطأ في الخادم، حاول لاحقًا" });
+  }
+});
+
 /**
  * @route   POST /api/auth/logout-all
  * @desc    Logout from all devices by bumping tokenVersion
@@ -731,7 +1032,10 @@ router.get("/export", authMiddleware, async (req, res) => {
     const appointments = await Appointment.find(query)
       .sort({ createdAt: -1 })
       .limit(200)
-      .select("doctorName specialty appointmentDate appointmentTime status bookingNumber doctorQueueNumber notes doctorNote doctorPrescriptions service createdAt");
+      .select("doctorName specialty appointmentDate appointmentTime status bookingNumber doctorQueueNumber notes doctorNote doctorPrescriptions prescriptionItems service createdAt");
+    const visitNotes = await VisitNote.find({ appointment: { $in: appointments.map((a) => a._id) } })
+      .sort({ appointment: 1, version: 1 })
+      .lean();
 
     await audit(req, {
       actorUser: user._id,
@@ -748,6 +1052,7 @@ router.get("/export", authMiddleware, async (req, res) => {
       user,
       doctorProfile,
       appointments,
+      visitNotes,
     });
   } catch (err) {
     console.error("Export error:", err);
@@ -803,10 +1108,20 @@ router.delete("/me", authMiddleware, async (req, res) => {
 
     // Remove appointments
     await Appointment.deleteMany(appointmentQuery);
+    await VisitNote.deleteMany({ appointment: { $in: appointmentIds } });
+
+    // Reviews written by the patient (affected doctors' ratings are recomputed)
+    const reviewedDoctors = await Review.distinct("doctorProfile", { patient: userId });
+    if (reviewedDoctors.length) {
+      await Review.deleteMany({ patient: userId });
+      await Promise.all(reviewedDoctors.map((id) => refreshDoctorRating(id)));
+    }
 
     // Doctor extras
     if (doctorProfileId) {
       await DoctorService.deleteMany({ doctorProfile: doctorProfileId });
+      await Review.deleteMany({ doctorProfile: doctorProfileId });
+      await User.updateMany({ favoriteDoctors: doctorProfileId }, { $pull: { favoriteDoctors: doctorProfileId } });
       await DoctorProfile.deleteOne({ _id: doctorProfileId });
     }
 
@@ -13,6 +13,7 @@ const User = require("../models/User");
 
 const router = express.Router();
 const { encryptAtRest, decryptAtRest, isLegacyMessageCryptoConfigured } = require("../utils/messageCrypto");
+const { parseListQuery, pageQuery, toPage, buildListFilter, isListQueryError } = require("../utils/pagination");
 
 const uploadsDir = path.join(__dirname, "..", "uploads", "messages");
 try {
@@ -198,20 +199,33 @@ router.get("/:appointmentId/e2ee/keys", authMiddleware, async (req, res) => {
   }
 });
 
+// Cursor paginated (utils/pagination.js); oldest first unless ?sort=-createdAt. ?from=&to= by day.
 router.get("/:appointmentId", authMiddleware, async (req, res) => {
   try {
+    const list = parseListQuery(req.query, {
+      sortFields: ["createdAt"],
+      defaultSort: "createdAt",
+      legacyUnbounded: true,
+    });
     const appointmentId = req.params.appointmentId;
     const appointment = await canAccessAppointment(req.user, appointmentId);
     if (!appointment) {
       return res.status(403).json({ message: "Not authorized" });
     }
-    const docs = await Message.find({ appointmentId })
-      .sort({ createdAt: 1 })
+    const page = pageQuery(list, { ...buildListFilter(req.query, { date: "createdAt" }), appointmentId });
+    const docs = await Message.find(page.filter)
+      .sort(page.sort)
+      .limit(page.limit)
       .populate("replyTo")
       .lean();
-    const items = docs.map(mapMessage);
-    res.json({ messages: items });
+    const { items: pageDocs, nextCursor } = toPage(docs, list);
+    const items = pageDocs.map(mapMessage);
+    // `messages` mirrors `items` for clients that predate the list envelope
+    res.json({ items, nextCursor, messages: items });
   } catch (err) {
+    if (isListQueryError(err)) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     res.status(500).json({ message: "Server error" });
   }
 });
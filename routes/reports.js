@@ -7,6 +7,12 @@ const DoctorProfile = require("../models/DoctorProfile");
 const User = require("../models/User");
 const mongoose = require("mongoose");
 const Appointment = require("../models/Appointment");
+const DoctorLocation = require("../models/DoctorLocation");
+const { BUSY_STATUSES, addDaysIso, loadExceptions, resolveDaySchedule } = require("../utils/availability");
+const { getPatientDisplay } = require("../utils/dependents");
+const { APPOINTMENT_STATUSES } = require("../utils/appointmentStatus");
+const { SPECIALTY_PUBLIC_FIELDS, listSpecialties } = require("../utils/specialties");
+const { getPrescriptionItems } = require("../utils/prescriptions");
 
 const router = express.Router();
 
@@ -63,10 +69,17 @@ const getMonthRange = (monthIso) => {
 const statusLabels = {
   pending: "قيد التأكيد",
   confirmed: "مقبولة",
+  checked_in: "تم تسجيل الحضور",
   completed: "مكتملة",
   cancelled: "ملغاة",
+  no_show: "لم يحضر",
 };
 
+// Daily PDF lists the day's schedule (completed visits stay out, as before); Excel lists every status
+const DAILY_PDF_STATUSES = [...BUSY_STATUSES, "cancelled", "no_show"];
+// A checked-in booking was confirmed first; it still counts (and bills) as confirmed
+const CONFIRMED_STATUSES = ["confirmed", "checked_in"];
+
 const toMoney = (value) => {
   const n = typeof value === "number" ? value : Number(value);
   return Number.isFinite(n) ? n : 0;
@@ -95,6 +108,7 @@ const buildExcelWorkbook = ({ title, doctorName, periodLabel, rows, totals, tota
     "تاريخ الحجز",
     "وقت الحجز",
     "الحالة",
+    "العيادة",
   ]);
   headerRow.font = { bold: true };
 
@@ -107,6 +121,7 @@ const buildExcelWorkbook = ({ title, doctorName, periodLabel, rows, totals, tota
       r.date || "-",
       r.time || "-",
       statusLabels[r.status] || r.status || "-",
+      r.locationName || MAIN_LOCATION_LABEL,
     ]);
   });
 
@@ -135,11 +150,29 @@ const buildExcelWorkbook = ({ title, doctorName, periodLabel, rows, totals, tota
     { width: 16 },
     { width: 12 },
     { width: 14 },
+    { width: 20 },
   ];
 
   return workbook;
 };
 
+const MAIN_LOCATION_LABEL = "العيادة الرئيسية";
+
+// Reports may be limited to one clinic: a DoctorLocation id, or "main" for the profile's own clinic.
+const resolveReportLocation = async (profile, rawLocationId) => {
+  const locationId = String(rawLocationId || "").trim();
+  if (!locationId) return { ok: true, locationId: "", name: "" };
+  if (locationId === "main") return { ok: true, locationId, name: MAIN_LOCATION_LABEL };
+  if (!mongoose.Types.ObjectId.isValid(locationId)) return { ok: false };
+  const location = await DoctorLocation.findOne({ _id: locationId, doctorProfile: profile._id })
+    .select("name")
+    .lean();
+  return location ? { ok: true, locationId, name: location.name } : { ok: false };
+};
+
+const reportLocationFilter = (locationId) =>
+  locationId ? { "location.locationId": locationId === "main" ? null : locationId } : {};
+
 const amiriRegularPath = require.resolve(
   "@fontsource/amiri/files/amiri-arabic-400-normal.woff"
 );
@@ -157,20 +190,42 @@ const DEFAULT_SCHEDULE = {
   emergency: false,
 };
 
+// Active specialty catalogue for registration and browsing
+router.get("/specialties", async (req, res) => {
+  try {
+    const specialties = await listSpecialties().select(SPECIALTY_PUBLIC_FIELDS).lean();
+    return res.json({ specialties });
+  } catch (err) {
+    console.error("Specialties list error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ?sort=rating orders doctors inside each group by rating (average, then count)
 router.get("/doctors-by-specialty", async (req, res) => {
   try {
-    const doctors = await DoctorProfile.find()
-      .populate("user", "name email age phone")
-      .lean();
+    if (req.query.sort !== undefined && req.query.sort !== "rating") {
+      return res.status(400).json({ message: "sort must be rating" });
+    }
+    const doctorSort = req.query.sort === "rating" ? { ratingAverage: -1, ratingCount: -1, _id: 1 } : null;
+    const [doctors, catalogue] = await Promise.all([
+      DoctorProfile.find().sort(doctorSort).populate("user", "name email age phone").lean(),
+      listSpecialties({ includeInactive: true }).select(SPECIALTY_PUBLIC_FIELDS).lean(),
+    ]);
+    const catalogueBySlug = new Map(catalogue.map((entry, index) => [entry.slug, { ...entry, index }]));
 
+    // Groups follow catalogue labels and order; slugs not (yet) in the catalogue come last
     const grouped = doctors.reduce((acc, profile) => {
       const slug = profile.specialtySlug || profile.specialty || "unassigned";
-      const label = profile.specialtyLabel || profile.specialty || "غير محدد";
+      const entry = catalogueBySlug.get(slug);
+      const label = entry?.labelAr || profile.specialtyLabel || profile.specialty || "غير محدد";
 
       if (!acc[slug]) {
         acc[slug] = {
           specialtySlug: slug,
           specialtyLabel: label,
+          specialtyLabelEn: entry?.labelEn || "",
+          icon: entry?.icon || "",
           doctors: [],
         };
       }
@@ -201,12 +256,19 @@ router.get("/doctors-by-specialty", async (req, res) => {
         consultationFee: profile.consultationFee,
         specialty: profile.specialty,
         specialtyLabel: profile.specialtyLabel,
+        ratingAverage: profile.ratingAverage || 0,
+        ratingCount: profile.ratingCount || 0,
       });
 
       return acc;
     }, {});
 
-    return res.json({ bySpecialty: Object.values(grouped) });
+    const position = (slug) => catalogueBySlug.get(slug)?.index ?? Number.MAX_SAFE_INTEGER;
+    const bySpecialty = Object.values(grouped).sort(
+      (a, b) => position(a.specialtySlug) - position(b.specialtySlug)
+    );
+
+    return res.json({ bySpecialty });
   } catch (err) {
     console.error("Doctors by specialty error:", err.message);
     return res.status(500).json({ message: "Server error" });
@@ -225,6 +287,24 @@ router.get("/doctors/:id/booked-slots", async (req, res) => {
       return res.status(404).json({ message: "الطبيب غير موجود" });
     }
 
+    // ?locationId= reports closed days/custom hours against that clinic's schedule;
+    // blocked slots stay doctor-wide because the doctor cannot be in two clinics at once.
+    let location = null;
+    if (req.query.locationId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.locationId)) {
+        return res.status(400).json({ message: "صيغة المعرف غير صحيحة" });
+      }
+      location = await DoctorLocation.findOne({
+        _id: req.query.locationId,
+        doctorProfile: doctor._id,
+        isActive: true,
+      }).lean();
+      if (!location) {
+        return res.status(404).json({ message: "العيادة غير موجودة" });
+      }
+    }
+    const baseSchedule = (location || doctor).schedule || DEFAULT_SCHEDULE;
+
     const defaultDays = 14;
     const requestedDays = Number(req.query.days);
     const lookahead = Number.isFinite(requestedDays) && requestedDays > 0
@@ -241,7 +321,7 @@ router.get("/doctors/:id/booked-slots", async (req, res) => {
 
     const appointments = await Appointment.find({
       doctorProfile: doctor._id,
-      status: { $in: ["pending", "confirmed"] },
+      status: { $in: BUSY_STATUSES },
       appointmentDateIso: { $gte: startIso, $lt: endIso },
     }).select("appointmentDateIso appointmentTimeValue").lean();
 
@@ -260,7 +340,31 @@ router.get("/doctors/:id/booked-slots", async (req, res) => {
       return acc;
     }, {});
 
-    return res.json({ blockedSlots });
+    // Date-specific exceptions so clients do not offer closed days / stale hours
+    const exceptions = await loadExceptions({ profile: doctor, fromIso: startIso, toIso: endIso });
+    const closedDates = [];
+    const customHours = {};
+    for (let dateIso = startIso; dateIso < endIso; dateIso = addDaysIso(dateIso, 1)) {
+      const daySchedule = resolveDaySchedule(baseSchedule, dateIso, exceptions);
+      if (!daySchedule) {
+        closedDates.push(dateIso);
+      } else if (daySchedule !== baseSchedule) {
+        customHours[dateIso] = {
+          startTime: daySchedule.startTime,
+          endTime: daySchedule.endTime,
+          breakEnabled: daySchedule.breakEnabled,
+          breakFrom: daySchedule.breakFrom,
+          breakTo: daySchedule.breakTo,
+        };
+      }
+    }
+
+    return res.json({
+      blockedSlots,
+      closedDates,
+      customHours,
+      ...(location ? { location: { _id: location._id, name: location.name, schedule: baseSchedule } } : {}),
+    });
   } catch (err) {
     console.error("Booked slots error:", err.message);
     return res.status(500).json({ message: "Server error" });
@@ -280,11 +384,16 @@ router.post("/doctors/me/daily-bookings/link", authMiddleware, async (req, res)
     }
 
     const dateIso = normalizeDateIso(req.body?.date || req.query?.date);
+    const reportLocation = await resolveReportLocation(profile, req.body?.locationId || req.query?.locationId);
+    if (!reportLocation.ok) {
+      return res.status(404).json({ message: "Location not found" });
+    }
     const payload = {
       type: "daily-report",
       userId: user._id.toString(),
       doctorProfileId: profile._id.toString(),
       date: dateIso,
+      locationId: reportLocation.locationId,
     };
     const downloadToken = jwt.sign(payload, process.env.JWT_SECRET, {
       expiresIn: "5m",
@@ -325,12 +434,17 @@ router.get("/download/daily", async (req, res) => {
   }
 
   const doctorUser = await User.findById(payload.userId).select("name email");
+  const reportLocation = await resolveReportLocation(profile, payload.locationId);
+  if (!reportLocation.ok) {
+    return res.status(404).json({ message: "Location not found" });
+  }
 
   const targetDate = normalizeDateIso(payload.date);
   const appointments = await Appointment.find({
     doctorProfile: profile._id,
     appointmentDateIso: targetDate,
-    status: { $in: ["pending", "confirmed", "cancelled"] },
+    ...reportLocationFilter(reportLocation.locationId),
+    status: { $in: DAILY_PDF_STATUSES },
   })
     .populate("user", "name email")
     .sort({ appointmentTimeValue: 1 });
@@ -352,6 +466,9 @@ router.get("/download/daily", async (req, res) => {
     { align: "right" }
   );
   doc.font("Amiri").fontSize(12).text(`التاريخ: ${targetDate}`, { align: "right" });
+  if (reportLocation.name) {
+    doc.font("Amiri").fontSize(12).text(`العيادة: ${reportLocation.name}`, { align: "right" });
+  }
   doc.moveDown(0.5);
 
   if (!appointments.length) {
@@ -375,12 +492,6 @@ router.get("/download/daily", async (req, res) => {
     return positions;
   }, []);
 
-  const statusLabels = {
-    pending: "قيد التأكيد",
-    confirmed: "مقبولة",
-    cancelled: "ملغاة",
-  };
-
   doc.moveDown(0.5);
   doc.fontSize(10).font("Amiri-Bold");
   columnHeaders.forEach((header, index) => {
@@ -407,7 +518,7 @@ router.get("/download/daily", async (req, res) => {
     }
 
     const rowValues = [
-      appointment.user?.name || "مراجع مجهول",
+      getPatientDisplay(appointment).name || "مراجع مجهول",
       appointment.appointmentDate || appointment.appointmentDateIso || targetDate,
       appointment.appointmentTime || appointment.appointmentTimeValue || "",
       statusLabels[appointment.status] || appointment.status || "-",
@@ -439,6 +550,151 @@ router.get("/download/daily", async (req, res) => {
   doc.end();
 });
 
+// =========================
+// Prescription PDF (patient or treating doctor, signed link)
+// =========================
+
+// The appointment when the user booked it or is its doctor, otherwise null
+const loadPrescriptionAppointment = async (appointmentId, userId) => {
+  if (!mongoose.isValidObjectId(appointmentId)) return null;
+  const appointment = await Appointment.findById(appointmentId).populate("user", "name age");
+  if (!appointment) return null;
+  if (String(appointment.user?._id || appointment.user) === String(userId)) return appointment;
+  const profile = await DoctorProfile.findById(appointment.doctorProfile).select("user");
+  return profile && String(profile.user) === String(userId) ? appointment : null;
+};
+
+router.post("/appointments/:id/prescription/link", authMiddleware, async (req, res) => {
+  try {
+    const appointment = await loadPrescriptionAppointment(req.params.id, req.user.id);
+    if (!appointment) {
+      return res.status(404).json({ message: "Appointment not found" });
+    }
+    if (!getPrescriptionItems(appointment).length) {
+      return res.status(404).json({ message: "لا توجد وصفة طبية لهذا الموعد" });
+    }
+
+    const payload = {
+      type: "prescription",
+      userId: String(req.user.id),
+      appointmentId: appointment._id.toString(),
+    };
+    const downloadToken = jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: "10m",
+    });
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    const downloadUrl = `${baseUrl}/api/reports/download/prescription?token=${encodeURIComponent(
+      downloadToken
+    )}`;
+
+    return res.json({ downloadUrl, expiresIn: 600 });
+  } catch (err) {
+    console.error("Prescription link error:", err.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/download/prescription", async (req, res) => {
+  try {
+    const { token } = req.query || {};
+    if (!token) {
+      return res.status(400).json({ message: "Download token is required" });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      console.error("Prescription download token error:", err.message);
+      return res.status(401).json({ message: "Invalid or expired download token" });
+    }
+
+    if (payload.type !== "prescription") {
+      return res.status(400).json({ message: "Invalid report token" });
+    }
+
+    const appointment = await loadPrescriptionAppointment(payload.appointmentId, payload.userId);
+    if (!appointment) {
+      return res.status(403).json({ message: "Unauthorized report download" });
+    }
+    const items = getPrescriptionItems(appointment);
+    if (!items.length) {
+      return res.status(404).json({ message: "لا توجد وصفة طبية لهذا الموعد" });
+    }
+
+    const profile = await DoctorProfile.findById(appointment.doctorProfile).select(
+      "displayName specialty specialtyLabel location secretaryPhone"
+    );
+    const patient = getPatientDisplay(appointment);
+    const clinic = appointment.location?.name
+      ? [appointment.location.name, appointment.location.address].filter(Boolean).join(" - ")
+      : profile?.location || "";
+    const issuedOn = appointment.prescribedAt
+      ? appointment.prescribedAt.toISOString().slice(0, 10)
+      : appointment.appointmentDateIso;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="prescription-${appointment.bookingNumber || appointment._id}.pdf"`
+    );
+
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.registerFont("Amiri", amiriRegularPath);
+    doc.registerFont("Amiri-Bold", amiriBoldPath);
+    doc.pipe(res);
+    doc.font("Amiri-Bold").fontSize(18).text(profile?.displayName || appointment.doctorName || "-", { align: "right" });
+    const specialty = profile?.specialtyLabel || profile?.specialty || appointment.specialty;
+    if (specialty) {
+      doc.font("Amiri").fontSize(12).text(specialty, { align: "right" });
+    }
+    if (clinic) {
+      doc.font("Amiri").fontSize(12).text(`العيادة: ${clinic}`, { align: "right" });
+    }
+    if (profile?.secretaryPhone) {
+      doc.font("Amiri").fontSize(12).text(`هاتف العيادة: ${profile.secretaryPhone}`, { align: "right" });
+    }
+    doc.moveDown(0.3);
+    doc.moveTo(40, doc.y).lineTo(doc.page.width - 40, doc.y).stroke();
+    doc.moveDown(0.5);
+
+    doc.font("Amiri").fontSize(12).text(`اسم المريض: ${patient.name || "-"}`, { align: "right" });
+    if (patient.age !== null && patient.age !== undefined) {
+      doc.font("Amiri").fontSize(12).text(`العمر: ${patient.age}`, { align: "right" });
+    }
+    doc.font("Amiri").fontSize(12).text(`التاريخ: ${issuedOn || "-"}`, { align: "right" });
+    if (appointment.bookingNumber) {
+      doc.font("Amiri").fontSize(12).text(`رقم الحجز: ${appointment.bookingNumber}`, { align: "right" });
+    }
+    doc.moveDown(0.5);
+    doc.font("Amiri-Bold").fontSize(16).text("الوصفة الطبية", { align: "right" });
+    doc.moveDown(0.3);
+
+    items.forEach((item, index) => {
+      const head = [item.drugName, item.strength, item.form].filter(Boolean).join(" ");
+      const usage = [item.dose, item.frequency, item.duration].filter(Boolean).join("، ");
+      doc.font("Amiri-Bold").fontSize(13).text(`${index + 1}. ${head}`, { align: "right" });
+      if (usage) {
+        doc.font("Amiri").fontSize(12).text(usage, { align: "right" });
+      }
+      if (item.instructions) {
+        doc.font("Amiri").fontSize(11).text(`ملاحظات: ${item.instructions}`, { align: "right" });
+      }
+      doc.moveDown(0.4);
+    });
+
+    doc.moveDown(2);
+    doc.font("Amiri").fontSize(12).text("توقيع الطبيب: ____________________", { align: "left" });
+
+    doc.end();
+  } catch (err) {
+    console.error("Prescription download error:", err?.message);
+    // Headers are gone once the PDF started streaming
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 // =========================
 // Excel reports (daily + monthly)
 // =========================
@@ -456,11 +712,16 @@ router.post("/doctors/me/daily-bookings/excel/link", authMiddleware, async (req,
     }
 
     const dateIso = normalizeDateIso(req.body?.date || req.query?.date);
+    const reportLocation = await resolveReportLocation(profile, req.body?.locationId || req.query?.locationId);
+    if (!reportLocation.ok) {
+      return res.status(404).json({ message: "Location not found" });
+    }
     const payload = {
       type: "daily-report-excel",
       userId: user._id.toString(),
       doctorProfileId: profile._id.toString(),
       date: dateIso,
+      locationId: reportLocation.locationId,
     };
     const downloadToken = jwt.sign(payload, process.env.JWT_SECRET, {
       expiresIn: "10m",
@@ -501,12 +762,17 @@ router.get("/download/daily-excel", async (req, res) => {
   }
 
   const doctorUser = await User.findById(payload.userId).select("name email");
+  const reportLocation = await resolveReportLocation(profile, payload.locationId);
+  if (!reportLocation.ok) {
+    return res.status(404).json({ message: "Location not found" });
+  }
   const targetDate = normalizeDateIso(payload.date);
 
   const appointments = await Appointment.find({
     doctorProfile: profile._id,
     appointmentDateIso: targetDate,
-    status: { $in: ["pending", "confirmed", "completed", "cancelled"] },
+    ...reportLocationFilter(reportLocation.locationId),
+    status: { $in: APPOINTMENT_STATUSES },
   })
     .populate("user", "name age")
     .sort({ appointmentTimeValue: 1, createdAt: 1 })
@@ -515,24 +781,26 @@ router.get("/download/daily-excel", async (req, res) => {
   const consultationFee = toMoney(profile.consultationFee);
   const rows = appointments.map((a) => {
     const price = toMoney(a?.service?.price) || consultationFee;
+    const patient = getPatientDisplay(a);
     return {
-      patientName: a.user?.name,
-      patientAge: a.user?.age,
+      patientName: patient.name,
+      patientAge: patient.age,
       condition: (a.notes || "").trim(),
       price,
       date: a.appointmentDate || a.appointmentDateIso,
       time: a.appointmentTime || a.appointmentTimeValue,
       status: a.status,
+      locationName: a.location?.name || "",
       billable: a.status !== "cancelled" ? price : 0,
     };
   });
 
   const totals = {
-    confirmedCount: rows.filter((r) => r.status === "confirmed").length,
+    confirmedCount: rows.filter((r) => CONFIRMED_STATUSES.includes(r.status)).length,
     pendingCount: rows.filter((r) => r.status === "pending").length,
     cancelledCount: rows.filter((r) => r.status === "cancelled").length,
     totalMoney: rows.reduce(
-      (sum, r) => sum + (r.status === "confirmed" ? toMoney(r.billable) : 0),
+      (sum, r) => sum + (CONFIRMED_STATUSES.includes(r.status) ? toMoney(r.billable) : 0),
       0
     ),
   };
@@ -540,7 +808,7 @@ router.get("/download/daily-excel", async (req, res) => {
   const workbook = buildExcelWorkbook({
     title: "تقرير الحجوزات اليومية (Excel)",
     doctorName: profile.displayName || doctorUser?.name || doctorUser?.email || "-",
-    periodLabel: `التاريخ: ${targetDate}`,
+    periodLabel: `التاريخ: ${targetDate}${reportLocation.name ? ` - ${reportLocation.name}` : ""}`,
     rows,
     totals,
     totalsLabels: {
@@ -577,11 +845,16 @@ router.post("/doctors/me/monthly-bookings/excel/link", authMiddleware, async (re
     }
 
     const monthIso = normalizeMonthIso(req.body?.month || req.query?.month);
+    const reportLocation = await resolveReportLocation(profile, req.body?.locationId || req.query?.locationId);
+    if (!reportLocation.ok) {
+      return res.status(404).json({ message: "Location not found" });
+    }
     const payload = {
       type: "monthly-report-excel",
       userId: user._id.toString(),
       doctorProfileId: profile._id.toString(),
       month: monthIso,
+      locationId: reportLocation.locationId,
     };
 
     const downloadToken = jwt.sign(payload, process.env.JWT_SECRET, {
@@ -623,13 +896,18 @@ router.get("/download/monthly-excel", async (req, res) => {
   }
 
   const doctorUser = await User.findById(payload.userId).select("name email");
+  const reportLocation = await resolveReportLocation(profile, payload.locationId);
+  if (!reportLocation.ok) {
+    return res.status(404).json({ message: "Location not found" });
+  }
   const monthIso = normalizeMonthIso(payload.month);
   const { startIso, endIso } = getMonthRange(monthIso);
 
   const appointments = await Appointment.find({
     doctorProfile: profile._id,
     appointmentDateIso: { $gte: startIso, $lt: endIso },
-    status: { $in: ["pending", "confirmed", "completed", "cancelled"] },
+    ...reportLocationFilter(reportLocation.locationId),
+    status: { $in: APPOINTMENT_STATUSES },
   })
     .populate("user", "name age")
     .sort({ appointmentDateIso: 1, appointmentTimeValue: 1, createdAt: 1 })
@@ -638,24 +916,26 @@ router.get("/download/monthly-excel", async (req, res) => {
   const consultationFee = toMoney(profile.consultationFee);
   const rows = appointments.map((a) => {
     const price = toMoney(a?.service?.price) || consultationFee;
+    const patient = getPatientDisplay(a);
     return {
-      patientName: a.user?.name,
-      patientAge: a.user?.age,
+      patientName: patient.name,
+      patientAge: patient.age,
       condition: (a.notes || "").trim(),
       price,
       date: a.appointmentDate || a.appointmentDateIso,
       time: a.appointmentTime || a.appointmentTimeValue,
       status: a.status,
+      locationName: a.location?.name || "",
       billable: a.status !== "cancelled" ? price : 0,
     };
   });
 
   const totals = {
-    confirmedCount: rows.filter((r) => r.status === "confirmed").length,
+    confirmedCount: rows.filter((r) => CONFIRMED_STATUSES.includes(r.status)).length,
     pendingCount: rows.filter((r) => r.status === "pending").length,
     cancelledCount: rows.filter((r) => r.status === "cancelled").length,
     totalMoney: rows.reduce(
-      (sum, r) => sum + (r.status === "confirmed" ? toMoney(r.billable) : 0),
+      (sum, r) => sum + (CONFIRMED_STATUSES.includes(r.status) ? toMoney(r.billable) : 0),
       0
     ),
   };
@@ -663,7 +943,7 @@ router.get("/download/monthly-excel", async (req, res) => {
   const workbook = buildExcelWorkbook({
     title: "تقرير الحجوزات الشهري (Excel)",
     doctorName: profile.displayName || doctorUser?.name || doctorUser?.email || "-",
-    periodLabel: `الشهر: ${monthIso}`,
+    periodLabel: `الشهر: ${monthIso}${reportLocation.name ? ` - ${reportLocation.name}` : ""}`,
     rows,
     totals,
     totalsLabels: {
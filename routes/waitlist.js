@@ -0,0 +1,151 @@
+// routes/waitlist.js
+const express = require("express");
+const mongoose = require("mongoose");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Appointment = require("../models/Appointment");
+const DoctorProfile = require("../models/DoctorProfile");
+const DoctorService = require("../models/DoctorService");
+const Block = require("../models/Block");
+const authMiddleware = require("../middleware/authMiddleware");
+const { BUSY_STATUSES, formatYmd, isValidDateIso, toMinutes } = require("../utils/availability");
+const { offerSlot } = require("../utils/waitlist");
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/appointments/waitlist
+ * @desc    Join the waitlist of a doctor for a date (optionally a time range)
+ * @access  Private
+ */
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { doctorId, appointmentDateIso, timeFrom, timeTo, serviceId } = req.body || {};
+
+    if (!doctorId || !mongoose.Types.ObjectId.isValid(doctorId)) {
+      return res.status(400).json({ message: "Invalid doctor id" });
+    }
+    const dateIso = String(appointmentDateIso || "").trim();
+    if (!isValidDateIso(dateIso) || dateIso < formatYmd(new Date())) {
+      return res.status(400).json({ message: "يجب اختيار تاريخ صالح غير منتهي" });
+    }
+
+    const from = String(timeFrom || "").trim();
+    const to = String(timeTo || "").trim();
+    if ((from && toMinutes(from) === null) || (to && toMinutes(to) === null)) {
+      return res.status(400).json({ message: "صيغة الوقت غير صحيحة (HH:mm)" });
+    }
+    if (from && to && toMinutes(to) <= toMinutes(from)) {
+      return res.status(400).json({ message: "يجب أن يكون وقت النهاية بعد وقت البداية" });
+    }
+
+    const profile = await DoctorProfile.findById(doctorId).select("user");
+    if (!profile) {
+      return res.status(404).json({ message: "Doctor not found" });
+    }
+
+    const block = await Block.findOne({ doctor: profile.user, patient: req.user.id }).select("blockBooking");
+    if (block?.blockBooking) {
+      return res.status(403).json({ message: "لا يمكنك الحجز لدى هذا الطبيب بسبب الحظر" });
+    }
+
+    if (serviceId) {
+      const svc = await DoctorService.exists({ _id: serviceId, doctorProfile: profile._id, isActive: true });
+      if (!svc) {
+        return res.status(400).json({ message: "الخدمة المختارة غير متاحة لدى هذا الطبيب" });
+      }
+    }
+
+    const alreadyBooked = await Appointment.exists({
+      user: req.user.id,
+      doctorProfile: profile._id,
+      appointmentDateIso: dateIso,
+      status: { $in: BUSY_STATUSES },
+    });
+    if (alreadyBooked) {
+      return res.status(409).json({ message: "لديك حجز لدى هذا الطبيب في نفس اليوم" });
+    }
+
+    const entry = await WaitlistEntry.create({
+      user: req.user.id,
+      doctorProfile: profile._id,
+      appointmentDateIso: dateIso,
+      timeFrom: from,
+      timeTo: to,
+      serviceId: serviceId || null,
+    });
+
+    return res.status(201).json({ entry });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: "أنت مسجل مسبقاً في قائمة الانتظار لهذا اليوم" });
+    }
+    console.error("Join waitlist error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   GET /api/appointments/waitlist
+ * @desc    Current user's waitlist entries (active and recent)
+ * @access  Private
+ */
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      user: req.user.id,
+      appointmentDateIso: { $gte: formatYmd(new Date()) },
+    })
+      .sort({ appointmentDateIso: 1, createdAt: 1 })
+      .populate("doctorProfile", "displayName specialtyLabel avatarUrl location")
+      .lean();
+
+    // Expired holds are swept by the jobs runner; hide a stale offer meanwhile.
+    const now = new Date();
+    const items = entries.map((entry) =>
+      entry.status === "offered" && entry.holdExpiresAt && new Date(entry.holdExpiresAt) <= now
+        ? { ...entry, status: "expired" }
+        : entry
+    );
+
+    return res.json({ entries: items });
+  } catch (err) {
+    console.error("Fetch waitlist error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * @route   DELETE /api/appointments/waitlist/:id
+ * @desc    Leave the waitlist (a held slot goes to the next patient)
+ * @access  Private
+ */
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid waitlist id" });
+    }
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, status: { $in: ["waiting", "offered"] } },
+      { $set: { status: "cancelled", holdExpiresAt: null } }
+    ).populate("doctorProfile", "displayName");
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    if (entry.status === "offered") {
+      await offerSlot({
+        doctorProfileId: entry.doctorProfile?._id || entry.doctorProfile,
+        doctorName: entry.doctorProfile?.displayName,
+        slot: entry.offeredSlot,
+      });
+    }
+
+    return res.json({ message: "Removed from waitlist" });
+  } catch (err) {
+    console.error("Leave waitlist error:", err?.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
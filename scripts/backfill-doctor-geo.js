@@ -0,0 +1,87 @@
+/*
+  Backfill the GeoJSON `geoLocation` point used by GET /api/doctors/search.
+
+  New and edited profiles/locations keep it in sync on save; this covers
+  records written before the field existed (or updated outside Mongoose).
+
+  Usage:
+    - Ensure MONGO_URI is set (same as backend).
+    - Run: node scripts/backfill-doctor-geo.js
+*/
+
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const DoctorProfile = require("../models/DoctorProfile");
+const DoctorLocation = require("../models/DoctorLocation");
+const { toGeoPoint } = require("../utils/geo");
+
+const BATCH_SIZE = 500;
+
+const mustGetMongoUri = () => {
+  const uri = process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI env var");
+  }
+  return uri;
+};
+
+const backfill = async (Model, label) => {
+  let set = 0;
+  let unset = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  const cursor = Model.find({}).select("locationLat locationLng geoLocation").lean().cursor();
+  for await (const doc of cursor) {
+    const point = toGeoPoint(doc.locationLat, doc.locationLng);
+    if (point) {
+      const [lng, lat] = doc.geoLocation?.coordinates || [];
+      if (lng === point.coordinates[0] && lat === point.coordinates[1]) continue;
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { geoLocation: point } } } });
+      set += 1;
+    } else if (doc.geoLocation) {
+      // Coordinates were cleared or are invalid; a stale point would still match searches.
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $unset: { geoLocation: 1 } } } });
+      unset += 1;
+    } else {
+      continue;
+    }
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // Make sure the 2dsphere index exists before the search endpoint is used.
+  await Model.syncIndexes();
+  console.log(`${label}: set geoLocation on ${set}, cleared ${unset}`);
+};
+
+const main = async () => {
+  const mongoUri = mustGetMongoUri();
+  await mongoose.connect(mongoUri);
+
+  await backfill(DoctorProfile, "Doctor profiles");
+  await backfill(DoctorLocation, "Doctor locations");
+
+  console.log("Done.");
+};
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error("Backfill doctor geo failed:", err?.message || err);
+    try {
+      await mongoose.disconnect();
+    } catch (_) {}
+    process.exit(1);
+  });
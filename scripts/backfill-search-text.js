@@ -0,0 +1,84 @@
+/*
+  Fill DoctorProfile.searchText and DoctorService.searchName used by
+  GET /api/doctors/search/text.
+
+  Both are recomputed on save; run this once for records created before
+  the fields existed, or after changing utils/arabicSearch.js.
+
+  Usage:
+    - Ensure MONGO_URI is set (same as backend).
+    - Run: node scripts/backfill-search-text.js
+*/
+
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const DoctorProfile = require("../models/DoctorProfile");
+const DoctorService = require("../models/DoctorService");
+const { buildSearchText } = require("../utils/arabicSearch");
+
+const BATCH_SIZE = 500;
+
+const mustGetMongoUri = () => {
+  const uri = process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI env var");
+  }
+  return uri;
+};
+
+const backfill = async (Model, field, sourceFields, label) => {
+  let updated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  const cursor = Model.find({})
+    .select([...sourceFields, `+${field}`].join(" "))
+    .lean()
+    .cursor();
+  for await (const doc of cursor) {
+    const value = buildSearchText(sourceFields.map((name) => doc[name]));
+    if (doc[field] === value) continue;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [field]: value } } } });
+    updated += 1;
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${label}: updated ${field} on ${updated}`);
+};
+
+const main = async () => {
+  const mongoUri = mustGetMongoUri();
+  await mongoose.connect(mongoUri);
+
+  await backfill(
+    DoctorProfile,
+    "searchText",
+    ["displayName", "specialtyLabel", "specialty", "location"],
+    "Doctor profiles"
+  );
+  await backfill(DoctorService, "searchName", ["name"], "Doctor services");
+
+  console.log("Done.");
+};
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error("Backfill search text failed:", err?.message || err);
+    try {
+      await mongoose.disconnect();
+    } catch (_) {}
+    process.exit(1);
+  });
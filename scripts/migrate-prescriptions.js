@@ -0,0 +1,83 @@
+/*
+  Convert free-text Appointment.doctorPrescriptions into structured
+  Appointment.prescriptionItems.
+
+  Each legacy line becomes one item with the whole line as drugName (the
+  text cannot be split into dose/frequency reliably). Appointments that
+  already have prescriptionItems are left alone, and doctorPrescriptions
+  is kept as the legacy mirror.
+
+  Usage:
+    - Ensure MONGO_URI is set (same as backend).
+    - Run: node scripts/migrate-prescriptions.js [--dry-run]
+      --dry-run   only count the appointments that would change
+*/
+
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const Appointment = require("../models/Appointment");
+const { getPrescriptionItems } = require("../utils/prescriptions");
+
+const BATCH_SIZE = 500;
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const mustGetMongoUri = () => {
+  const uri = process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI env var");
+  }
+  return uri;
+};
+
+const main = async () => {
+  const mongoUri = mustGetMongoUri();
+  await mongoose.connect(mongoUri);
+
+  let migrated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    if (!DRY_RUN) await Appointment.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  const cursor = Appointment.find({
+    "doctorPrescriptions.0": { $exists: true },
+    "prescriptionItems.0": { $exists: false },
+  })
+    .select("doctorPrescriptions prescriptionItems updatedAt")
+    .lean()
+    .cursor();
+  for await (const appointment of cursor) {
+    const items = getPrescriptionItems(appointment);
+    if (!items.length) continue;
+    ops.push({
+      updateOne: {
+        filter: { _id: appointment._id },
+        update: { $set: { prescriptionItems: items, prescribedAt: appointment.updatedAt || new Date() } },
+      },
+    });
+    migrated += 1;
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${DRY_RUN ? "[dry run] " : ""}Done. ${migrated} appointments migrated.`);
+};
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error("Migrate prescriptions failed:", err?.message || err);
+    try {
+      await mongoose.disconnect();
+    } catch (_) {}
+    process.exit(1);
+  });
@@ -0,0 +1,178 @@
+/*
+  Map the free-text specialty values on doctor profiles to the Specialty catalogue.
+
+  For every doctor profile the catalogue entry is looked up by specialtySlug, then by
+  specialtyLabel/specialty, comparing against entry slugs, Arabic/English labels and
+  aliases (Arabic-normalised, see utils/arabicSearch.js). Matched profiles get the
+  entry's slug and label; the raw values are added to the entry's aliases so the next
+  run (and admins) can see where they came from. Appointments carrying an old slug are
+  moved to the new one when that old slug mapped to a single entry.
+
+  Usage:
+    - Ensure MONGO_URI is set (same as backend).
+    - Run: node scripts/migrate-specialties.js [--dry-run] [--create-missing]
+      --dry-run         only print the mapping
+      --create-missing  add catalogue entries for values that match nothing
+                        (otherwise those profiles are listed and left untouched)
+*/
+
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const DoctorProfile = require("../models/DoctorProfile");
+const Appointment = require("../models/Appointment");
+const Specialty = require("../models/Specialty");
+const { normalizeArabic } = require("../utils/arabicSearch");
+const { toProfileSpecialty } = require("../utils/specialties");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const CREATE_MISSING = process.argv.includes("--create-missing");
+
+const mustGetMongoUri = () => {
+  const uri = process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI env var");
+  }
+  return uri;
+};
+
+const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const main = async () => {
+  const mongoUri = mustGetMongoUri();
+  await mongoose.connect(mongoUri);
+
+  const catalogue = await Specialty.find({});
+  const byKey = new Map();
+  const index = (entry) => {
+    [entry.slug, entry.labelAr, entry.labelEn, ...(entry.aliases || [])]
+      .map((v) => normalizeArabic(v))
+      .filter(Boolean)
+      .forEach((key) => {
+        if (!byKey.has(key)) byKey.set(key, entry);
+      });
+  };
+  catalogue.forEach(index);
+  console.log(`Catalogue has ${catalogue.length} specialties`);
+
+  const resolve = (profile) => {
+    for (const value of [profile.specialtySlug, profile.specialtyLabel, profile.specialty]) {
+      const entry = byKey.get(normalizeArabic(value));
+      if (entry) return entry;
+    }
+    return null;
+  };
+
+  const createEntry = async (profile) => {
+    const labelAr = String(profile.specialtyLabel || profile.specialty || profile.specialtySlug || "").trim();
+    let slug = slugify(profile.specialtySlug) || slugify(profile.specialty) || "specialty";
+    for (let n = 2; catalogue.some((entry) => entry.slug === slug); n += 1) {
+      slug = `${slug.replace(/-\d+$/, "")}-${n}`;
+    }
+    const entry = DRY_RUN
+      ? new Specialty({ slug, labelAr, order: catalogue.length })
+      : await Specialty.create({ slug, labelAr, order: catalogue.length });
+    catalogue.push(entry);
+    index(entry);
+    console.log(`  + created ${slug} (${labelAr})`);
+    return entry;
+  };
+
+  const aliasesByEntry = new Map();
+  const slugMoves = new Map(); // old slug -> Set(new slug)
+  const unmapped = [];
+  let relabelled = 0;
+
+  const profiles = await DoctorProfile.find({});
+  for (const profile of profiles) {
+    if (!profile.specialtySlug && !profile.specialty && !profile.specialtyLabel) continue;
+
+    let entry = resolve(profile);
+    if (!entry && CREATE_MISSING) entry = await createEntry(profile);
+    if (!entry) {
+      unmapped.push(profile);
+      continue;
+    }
+
+    const aliases = aliasesByEntry.get(entry.slug) || new Set();
+    [profile.specialtySlug, profile.specialtyLabel, profile.specialty]
+      .map((v) => normalizeArabic(v))
+      .filter(Boolean)
+      .forEach((alias) => aliases.add(alias));
+    aliasesByEntry.set(entry.slug, aliases);
+
+    const oldSlug = profile.specialtySlug || "";
+    if (oldSlug) {
+      const targets = slugMoves.get(oldSlug) || new Set();
+      targets.add(entry.slug);
+      slugMoves.set(oldSlug, targets);
+    }
+
+    const next = toProfileSpecialty(entry);
+    const changed = Object.keys(next).some((key) => profile[key] !== next[key]);
+    if (!changed) continue;
+    console.log(
+      `  ${profile.displayName}: "${oldSlug}" / "${profile.specialtyLabel || profile.specialty}" -> ${entry.slug}`
+    );
+    relabelled += 1;
+    if (!DRY_RUN) {
+      profile.set(next);
+      // save() keeps searchText in sync
+      await profile.save();
+    }
+  }
+
+  if (!DRY_RUN) {
+    for (const [slug, aliases] of aliasesByEntry) {
+      await Specialty.updateOne({ slug }, { $addToSet: { aliases: { $each: [...aliases] } } });
+    }
+  }
+
+  let appointmentsMoved = 0;
+  for (const [oldSlug, targets] of slugMoves) {
+    const [newSlug] = [...targets];
+    if (targets.size !== 1) {
+      console.log(`  ! appointments with slug "${oldSlug}" left as is (maps to ${[...targets].join(", ")})`);
+      continue;
+    }
+    if (newSlug === oldSlug) continue;
+    if (DRY_RUN) {
+      appointmentsMoved += await Appointment.countDocuments({ specialtySlug: oldSlug });
+    } else {
+      const result = await Appointment.updateMany(
+        { specialtySlug: oldSlug },
+        { $set: { specialtySlug: newSlug } }
+      );
+      appointmentsMoved += result.modifiedCount ?? result.nModified ?? 0;
+    }
+  }
+
+  unmapped.forEach((profile) =>
+    console.log(
+      `  ? ${profile.displayName} (${profile._id}): "${profile.specialtySlug}" / "${profile.specialtyLabel || profile.specialty}" has no catalogue entry`
+    )
+  );
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}Done. ${relabelled} profiles mapped, ${appointmentsMoved} appointments moved, ${unmapped.length} unmapped.`
+  );
+};
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error("Migrate specialties failed:", err?.message || err);
+    try {
+      await mongoose.disconnect();
+    } catch (_) {}
+    process.exit(1);
+  });
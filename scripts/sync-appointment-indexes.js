@@ -0,0 +1,89 @@
+/*
+  Rebuild the Appointment indexes after their definition changed (e.g. the
+  unique doctor-slot index now also covers "checked_in" bookings).
+
+  Mongoose autoIndex only creates missing indexes; it never replaces one whose
+  options changed. This script lists slots that would violate the new unique
+  index first, and only calls syncIndexes() when there are none.
+
+  Usage:
+    - Ensure MONGO_URI is set (same as backend).
+    - Run: node scripts/sync-appointment-indexes.js [--dry-run]
+      --dry-run   only list conflicting slots and index differences
+*/
+
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const Appointment = require("../models/Appointment");
+const { BUSY_STATUSES } = require("../utils/availability");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const mustGetMongoUri = () => {
+  const uri = process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("Missing MONGO_URI env var");
+  }
+  return uri;
+};
+
+const main = async () => {
+  const mongoUri = mustGetMongoUri();
+  await mongoose.connect(mongoUri);
+
+  const conflicts = await Appointment.aggregate([
+    {
+      $match: {
+        doctorProfile: { $exists: true },
+        appointmentDateIso: { $type: "string", $ne: "" },
+        appointmentTimeValue: { $type: "string", $ne: "" },
+        status: { $in: BUSY_STATUSES },
+      },
+    },
+    {
+      $group: {
+        _id: { doctorProfile: "$doctorProfile", date: "$appointmentDateIso", time: "$appointmentTimeValue" },
+        ids: { $push: "$_id" },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  conflicts.forEach((row) => {
+    console.log(
+      `Slot taken twice: doctor=${row._id.doctorProfile} ${row._id.date} ${row._id.time} -> ${row.ids.join(", ")}`
+    );
+  });
+
+  const diff = await Appointment.diffIndexes();
+  console.log(`Indexes to drop: ${diff.toDrop.join(", ") || "-"}`);
+  console.log(`Indexes to create: ${diff.toCreate.map((i) => JSON.stringify(i)).join(", ") || "-"}`);
+
+  if (conflicts.length) {
+    throw new Error(`${conflicts.length} conflicting slots; cancel or move them, then run again`);
+  }
+  if (DRY_RUN) {
+    console.log("[dry run] Done.");
+    return;
+  }
+
+  const dropped = await Appointment.syncIndexes();
+  console.log(`Done. Rebuilt indexes (dropped: ${dropped.join(", ") || "-"}).`);
+};
+
+main()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error("Sync appointment indexes failed:", err?.message || err);
+    try {
+      await mongoose.disconnect();
+    } catch (_) {}
+    process.exit(1);
+  });
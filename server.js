@@ -18,6 +18,9 @@ const User = require("./models/User");
 const Block = require("./models/Block");
 const DoctorProfileModel = require("./models/DoctorProfile");
 const { startReminderJobs } = require("./jobs/reminders");
+const { startAppointmentSweepJobs } = require("./jobs/appointmentSweep");
+const { formatYmd } = require("./utils/availability");
+const { queueRoom, getQueueSnapshot } = require("./utils/clinicQueue");
 const authMiddleware = require("./middleware/authMiddleware");
 const { encryptAtRest, decryptAtRest, isLegacyMessageCryptoConfigured } = require("./utils/messageCrypto");
 
@@ -39,6 +42,13 @@ if (String(process.env.NODE_ENV || "").toLowerCase() === "production") {
     console.error("MESSAGE_KEY is too short in production (must be >= 32 chars)");
     process.exit(1);
   }
+  if (!process.env.QR_SIGNING_KEY) {
+    console.error("QR_SIGNING_KEY is missing in production");
+    process.exit(1);
+  }
+  // QR_LEGACY_ACCEPT_UNTIL (optional, YYYY-MM-DD): last day unsigned pre-token QR codes are
+  // accepted at check-in (default in utils/qrToken.js); set a past date to refuse them now.
+
 }
 
 const app = express();
@@ -56,7 +66,8 @@ app.use(
   cors({
     origin: corsOriginOption,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
@@ -98,6 +109,7 @@ app.get("/api/health", (req, res) => {
 
 // Auth + domain routes
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/appointments/waitlist", require("./routes/waitlist"));
 app.use("/api/appointments", require("./routes/appointments"));
 
 // Doctor profile update override: allows saving map coordinates (lat/lng).
@@ -305,6 +317,7 @@ io.use(async (socket, next) => {
       if (!Number.isNaN(cutoffMs) && Date.now() > cutoffMs) {
         return next(new Error(AUTH_ERROR));
       }
+      socket.doctorProfileId = String(profile._id);
     }
 
     socket.userId = payload.id;
@@ -315,12 +328,50 @@ io.use(async (socket, next) => {
 });
 
 io.on("connection", (socket) => {
+  // Doctor dashboard events (e.g. reception check-ins)
+  if (socket.doctorProfileId) {
+    socket.join(`doctor:${socket.doctorProfileId}`);
+  }
+
   socket.on("join", async ({ appointmentId }) => {
     const access = await canAccessAppointment(socket.userId, appointmentId);
     if (!access) return socket.emit("error", AUTH_ERROR);
     socket.join(String(appointmentId));
   });
 
+  // Live clinic queue of one doctor/day: patients join through their appointment,
+  // the doctor with an optional date (defaults to today)
+  socket.on("queue:join", async ({ appointmentId, date } = {}) => {
+    try {
+      let profile = null;
+      let dateIso = "";
+      if (appointmentId) {
+        const access = await canAccessAppointment(socket.userId, appointmentId);
+        if (!access || !access.appointment.doctorProfile) return socket.emit("error", AUTH_ERROR);
+        const { appointment } = access;
+        const isPatient = appointment.user?._id?.equals(access.user._id);
+        if (isPatient && !["pending", "confirmed", "checked_in"].includes(appointment.status)) {
+          return socket.emit("error", AUTH_ERROR);
+        }
+        profile = appointment.doctorProfile;
+        dateIso = appointment.appointmentDateIso;
+      } else if (socket.doctorProfileId) {
+        profile = await DoctorProfile.findById(socket.doctorProfileId).select("_id schedule");
+        dateIso = date ? String(date) : formatYmd(new Date());
+      }
+      if (!profile || !dateIso) return socket.emit("error", AUTH_ERROR);
+
+      socket.join(queueRoom(profile._id, dateIso));
+      socket.emit("queue:update", await getQueueSnapshot(profile, dateIso));
+    } catch (err) {
+      console.error("Queue join error:", err?.message);
+    }
+  });
+
+  socket.on("queue:leave", ({ doctorProfileId, dateIso } = {}) => {
+    if (doctorProfileId && dateIso) socket.leave(queueRoom(doctorProfileId, dateIso));
+  });
+
   socket.on("message", async ({ appointmentId, text, replyTo, e2ee }) => {
     try {
       if (!appointmentId) return;
@@ -464,4 +515,5 @@ server.listen(PORT, '0.0.0.0', () => {
   } else {
     startReminderJobs();
   }
+  startAppointmentSweepJobs();
 });
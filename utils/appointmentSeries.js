@@ -0,0 +1,96 @@
+const {
+  addDaysIso,
+  getDayKey,
+  isValidDateIso,
+  loadExceptions,
+  resolveDaySchedule,
+  resolveSchedule,
+} = require("./availability");
+
+const SERIES_FREQUENCIES = ["weekly", "monthly"];
+
+const getMaxOccurrences = () => {
+  const max = Number(process.env.SERIES_MAX_OCCURRENCES || 26);
+  return Number.isInteger(max) && max > 1 ? max : 26;
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Same day of month `months` later, clamped to the month's last day (Jan 31 -> Feb 28).
+const addMonthsIso = (dateIso, months) => {
+  const [y, m, d] = String(dateIso).split("-").map((n) => Number(n));
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${target.getUTCFullYear()}-${pad2(target.getUTCMonth() + 1)}-${pad2(Math.min(d, lastDay))}`;
+};
+
+/**
+ * Validate a recurrence request: { frequency, interval, count | until }.
+ * `count` counts pattern dates (skipped ones included); `until` is inclusive.
+ * Returns { value } or { error }.
+ */
+const normalizeRecurrence = (raw, startIso) => {
+  if (!raw || typeof raw !== "object") return { error: "بيانات التكرار غير صحيحة" };
+  const max = getMaxOccurrences();
+
+  const frequency = String(raw.frequency || "").trim();
+  if (!SERIES_FREQUENCIES.includes(frequency)) {
+    return { error: "نوع التكرار يجب أن يكون weekly أو monthly" };
+  }
+
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return { error: "فاصل التكرار يجب أن يكون بين 1 و 12" };
+  }
+
+  const hasCount = raw.count !== undefined && raw.count !== null && raw.count !== "";
+  const until = String(raw.until || raw.endDate || "").trim();
+  if (!hasCount && !until) return { error: "حدد عدد المواعيد أو تاريخ الانتهاء" };
+
+  let count = null;
+  if (hasCount) {
+    count = Number(raw.count);
+    if (!Number.isInteger(count) || count < 2 || count > max) {
+      return { error: `عدد المواعيد يجب أن يكون بين 2 و ${max}` };
+    }
+  }
+  if (until && (!isValidDateIso(until) || until <= startIso)) {
+    return { error: "تاريخ انتهاء التكرار غير صحيح" };
+  }
+
+  return { value: { frequency, interval, count, until: until || null } };
+};
+
+const buildSeriesDates = (startIso, { frequency, interval, count, until }) => {
+  const limit = Math.min(count || getMaxOccurrences(), getMaxOccurrences());
+  const dates = [];
+  for (let i = 0; dates.length < limit; i += 1) {
+    const dateIso =
+      frequency === "weekly" ? addDaysIso(startIso, 7 * interval * i) : addMonthsIso(startIso, interval * i);
+    if (until && dateIso > until) break;
+    dates.push(dateIso);
+  }
+  return dates;
+};
+
+// Dates the doctor does not work at `location` (weekly schedule or a "closed" exception).
+const findClosedDates = async (profile, dates, location = null) => {
+  if (!dates.length) return new Set();
+  const sorted = [...dates].sort();
+  const exceptions = await loadExceptions({ profile, fromIso: sorted[0], toIso: sorted[sorted.length - 1] });
+  const schedule = resolveSchedule(profile, location);
+  return new Set(
+    dates.filter((dateIso) => {
+      const day = resolveDaySchedule(schedule, dateIso, exceptions);
+      return !day || !(day.activeDays || []).includes(getDayKey(dateIso));
+    })
+  );
+};
+
+module.exports = {
+  SERIES_FREQUENCIES,
+  addMonthsIso,
+  normalizeRecurrence,
+  buildSeriesDates,
+  findClosedDates,
+};
@@ -0,0 +1,61 @@
+const APPOINTMENT_STATUSES = ["pending", "confirmed", "checked_in", "completed", "cancelled", "no_show"];
+
+// Allowed moves; completed/cancelled/no_show are final.
+const TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["checked_in", "completed", "cancelled", "no_show"],
+  checked_in: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+const STATUS_LABELS = {
+  pending: "قيد الانتظار",
+  confirmed: "مؤكد",
+  checked_in: "حاضر في العيادة",
+  completed: "مكتمل",
+  cancelled: "ملغى",
+  no_show: "لم يحضر",
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from || "pending"] || []).includes(to);
+
+const isTransitionError = (err) => err?.code === "E_INVALID_TRANSITION";
+
+/**
+ * Move an appointment document to a new status and record the change
+ * in statusHistory. Does not save; throws E_INVALID_TRANSITION (status 409)
+ * for moves the lifecycle does not allow.
+ */
+const transitionStatus = (appointment, to, { by = null, byRole = "", reason = "" } = {}) => {
+  const from = appointment.status || "pending";
+  if (!canTransition(from, to)) {
+    const err = new Error(
+      `لا يمكن تغيير حالة الموعد من "${STATUS_LABELS[from] || from}" إلى "${STATUS_LABELS[to] || to}"`
+    );
+    err.code = "E_INVALID_TRANSITION";
+    err.status = 409;
+    throw err;
+  }
+
+  appointment.status = to;
+  if (!Array.isArray(appointment.statusHistory)) appointment.statusHistory = [];
+  appointment.statusHistory.push({
+    from,
+    to,
+    by,
+    byRole,
+    reason: String(reason || "").trim(),
+    at: new Date(),
+  });
+  return appointment;
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  isTransitionError,
+  transitionStatus,
+};
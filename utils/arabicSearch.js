@@ -0,0 +1,60 @@
+// Arabic-aware text normalisation for doctor search.
+// Stored fields (DoctorProfile.searchText, DoctorService.searchName) and user queries
+// go through the same normalizeArabic(), so "أحمد", "احمد" and "د. أحمد" all meet.
+
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+// The "د. " that ensureDoctorPrefix adds (also "د.", "دكتور", "الدكتورة"); applied after normalisation
+const DOCTOR_PREFIX = /^(?:ال)?(?:دكتوره?|د)\s*\.?\s+|^د\s*\.\s*/;
+
+const normalizeArabic = (raw = "") =>
+  String(raw || "")
+    .normalize("NFKC")
+    .replace(DIACRITICS, "")
+    .replace(TATWEEL, "")
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .replace(/ؤ/g, "و")
+    .replace(/ئ/g, "ي")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}.\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const stripDoctorPrefix = (normalized = "") => normalized.replace(DOCTOR_PREFIX, "").trim();
+
+const normalizeName = (raw = "") => stripDoctorPrefix(normalizeArabic(raw));
+
+// One string per document; tokens are matched against it with escaped regexes.
+const buildSearchText = (parts = []) =>
+  parts
+    .map(normalizeName)
+    .filter(Boolean)
+    .join(" ")
+    .replace(/\./g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const MAX_QUERY_TOKENS = 5;
+
+// Query -> one regex per word, matched at a word start with or without the
+// article "ال" ("اسنان" finds "الاسنان" and vice versa). All must match.
+const toSearchRegexes = (query = "") =>
+  normalizeName(query)
+    .replace(/\./g, " ")
+    .split(" ")
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TOKENS)
+    .map((token) => (token.length > 3 && token.startsWith("ال") ? token.slice(2) : token))
+    .map((token) => new RegExp(`(?:^| )(?:ال)?${escapeRegex(token)}`));
+
+module.exports = {
+  normalizeArabic,
+  normalizeName,
+  buildSearchText,
+  escapeRegex,
+  toSearchRegexes,
+};
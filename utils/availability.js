@@ -0,0 +1,244 @@
+const Appointment = require("../models/Appointment");
+const DoctorScheduleException = require("../models/DoctorScheduleException");
+
+const DEFAULT_SCHEDULE = {
+  activeDays: ["mon", "tue", "wed", "thu", "fri"],
+  startTime: "09:00",
+  endTime: "17:00",
+  breakEnabled: true,
+  breakFrom: "13:00",
+  breakTo: "14:00",
+  duration: 20,
+  allowOnline: true,
+  emergency: false,
+};
+
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Statuses that occupy a slot in the doctor's calendar.
+const BUSY_STATUSES = ["pending", "confirmed", "checked_in"];
+
+const MAX_RANGE_DAYS = 31;
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+const formatYmd = (d) => {
+  const dt = new Date(d);
+  return `${dt.getFullYear()}-${pad2(dt.getMonth() + 1)}-${pad2(dt.getDate())}`;
+};
+
+const isValidDateIso = (value) => {
+  const raw = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return false;
+  const [y, m, d] = raw.split("-").map((n) => Number(n));
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return !Number.isNaN(dt.getTime()) && dt.toISOString().split("T")[0] === raw;
+};
+
+const addDaysIso = (dateIso, days) => {
+  const [y, m, d] = String(dateIso).split("-").map((n) => Number(n));
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().split("T")[0];
+};
+
+const getDayKey = (dateIso) => {
+  const [y, m, d] = String(dateIso).split("-").map((n) => Number(n));
+  return DAY_KEYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+};
+
+// "09:30" -> 570 (minutes since midnight); null when not parseable.
+const toMinutes = (timeLike) => {
+  const m = String(timeLike || "").trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!m) return null;
+  const hh = Number(m[1]);
+  const mm = Number(m[2]);
+  if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return null;
+  return hh * 60 + mm;
+};
+
+const fromMinutes = (minutes) => `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+
+// Weekly schedule of a location when given, otherwise of the profile (main clinic).
+const resolveSchedule = (profile, location = null) => {
+  const source = location || profile;
+  return {
+    ...DEFAULT_SCHEDULE,
+    ...(source?.schedule?.toObject ? source.schedule.toObject() : source?.schedule || {}),
+  };
+};
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+/**
+ * Expand the weekly schedule into candidate slots for one date.
+ * Slots start on the schedule grid (schedule.duration) and must fit
+ * `durationMinutes` before endTime without touching the break window.
+ */
+const buildDaySlots = (schedule, dateIso, durationMinutes) => {
+  const activeDays = Array.isArray(schedule.activeDays) ? schedule.activeDays : [];
+  if (!activeDays.includes(getDayKey(dateIso))) return [];
+
+  const start = toMinutes(schedule.startTime);
+  const end = toMinutes(schedule.endTime);
+  const step = Number(schedule.duration) > 0 ? Number(schedule.duration) : DEFAULT_SCHEDULE.duration;
+  const length = Number(durationMinutes) > 0 ? Number(durationMinutes) : step;
+  if (start === null || end === null || end <= start) return [];
+
+  const breakFrom = schedule.breakEnabled ? toMinutes(schedule.breakFrom) : null;
+  const breakTo = schedule.breakEnabled ? toMinutes(schedule.breakTo) : null;
+  const hasBreak = breakFrom !== null && breakTo !== null && breakTo > breakFrom;
+
+  const slots = [];
+  for (let t = start; t + length <= end; t += step) {
+    if (hasBreak && overlaps(t, t + length, breakFrom, breakTo)) continue;
+    slots.push({ start: t, end: t + length });
+  }
+  return slots;
+};
+
+const loadExceptions = ({ profile, fromIso, toIso }) =>
+  DoctorScheduleException.find({
+    doctorProfile: profile._id,
+    dateFrom: { $lte: toIso },
+    dateTo: { $gte: fromIso },
+  }).lean();
+
+/**
+ * Effective schedule for one date after applying exceptions.
+ * Returns null when the doctor is closed that day.
+ */
+const resolveDaySchedule = (schedule, dateIso, exceptions = []) => {
+  const matching = exceptions.filter((ex) => ex.dateFrom <= dateIso && ex.dateTo >= dateIso);
+  if (matching.some((ex) => ex.type === "closed")) return null;
+
+  const custom = matching
+    .filter((ex) => ex.type === "custom_hours")
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+  if (!custom) return schedule;
+
+  return {
+    ...schedule,
+    activeDays: [getDayKey(dateIso)],
+    startTime: custom.startTime,
+    endTime: custom.endTime,
+    breakEnabled: !!custom.breakEnabled,
+    breakFrom: custom.breakFrom,
+    breakTo: custom.breakTo,
+  };
+};
+
+const loadBusyIntervals = async ({ profile, fromIso, toIso, excludeAppointmentId }) => {
+  const filter = {
+    doctorProfile: profile._id,
+    status: { $in: BUSY_STATUSES },
+    appointmentDateIso: { $gte: fromIso, $lte: toIso },
+  };
+  // One id, or several (e.g. every occurrence of a series being moved together)
+  if (Array.isArray(excludeAppointmentId)) filter._id = { $nin: excludeAppointmentId };
+  else if (excludeAppointmentId) filter._id = { $ne: excludeAppointmentId };
+
+  const appointments = await Appointment.find(filter)
+    .select("appointmentDateIso appointmentTimeValue appointmentTime service.durationMinutes")
+    .lean();
+
+  const fallbackDuration = Number(profile.schedule?.duration) || DEFAULT_SCHEDULE.duration;
+  return appointments.reduce((acc, appt) => {
+    const start = toMinutes(appt.appointmentTimeValue || appt.appointmentTime);
+    if (!appt.appointmentDateIso || start === null) return acc;
+    const length = Number(appt.service?.durationMinutes) > 0 ? Number(appt.service.durationMinutes) : fallbackDuration;
+    if (!acc[appt.appointmentDateIso]) acc[appt.appointmentDateIso] = [];
+    acc[appt.appointmentDateIso].push({ start, end: start + length });
+    return acc;
+  }, {});
+};
+
+/**
+ * Bookable slots per day for a doctor between two ISO dates (inclusive).
+ * Past slots of today are dropped (server-local time, same as reminders).
+ * `location` picks that clinic's schedule; bookings block the doctor at every location.
+ */
+const computeAvailability = async ({ profile, location, fromIso, toIso, durationMinutes, excludeAppointmentId }) => {
+  const schedule = resolveSchedule(profile, location);
+  const [busy, exceptions] = await Promise.all([
+    loadBusyIntervals({ profile, fromIso, toIso, excludeAppointmentId }),
+    loadExceptions({ profile, fromIso, toIso }),
+  ]);
+
+  const now = new Date();
+  const todayIso = formatYmd(now);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  const days = [];
+  for (let dateIso = fromIso; dateIso <= toIso; dateIso = addDaysIso(dateIso, 1)) {
+    if (dateIso < todayIso) continue;
+    const daySchedule = resolveDaySchedule(schedule, dateIso, exceptions);
+    const dayBusy = busy[dateIso] || [];
+    const slots = buildDaySlots(daySchedule || { activeDays: [] }, dateIso, durationMinutes)
+      .filter((slot) => !(dateIso === todayIso && slot.start <= nowMinutes))
+      .filter((slot) => !dayBusy.some((b) => overlaps(slot.start, slot.end, b.start, b.end)))
+      .map((slot) => ({ time: fromMinutes(slot.start), endTime: fromMinutes(slot.end) }));
+
+    days.push({ date: dateIso, dayKey: getDayKey(dateIso), closed: !daySchedule, slots });
+  }
+  return days;
+};
+
+/**
+ * Validate that a requested date/time is a real free slot.
+ * Returns { ok: true } or { ok: false, status, message }.
+ */
+const checkSlotBookable = async ({ profile, location, dateIso, timeValue, durationMinutes, excludeAppointmentId }) => {
+  if (!isValidDateIso(dateIso) || toMinutes(timeValue) === null) {
+    return { ok: false, status: 400, message: "يجب اختيار تاريخ ووقت صالحين من جدول الطبيب" };
+  }
+
+  const start = toMinutes(timeValue);
+  const now = new Date();
+  const todayIso = formatYmd(now);
+  if (dateIso < todayIso || (dateIso === todayIso && start <= now.getHours() * 60 + now.getMinutes())) {
+    return { ok: false, status: 400, message: "لا يمكن الحجز في وقت مضى" };
+  }
+
+  const exceptions = await loadExceptions({ profile, fromIso: dateIso, toIso: dateIso });
+  const daySchedule = resolveDaySchedule(resolveSchedule(profile, location), dateIso, exceptions);
+  if (!daySchedule) {
+    return { ok: false, status: 400, message: "الطبيب لا يستقبل حجوزات في هذا اليوم" };
+  }
+
+  const isScheduled = buildDaySlots(daySchedule, dateIso, durationMinutes).some((slot) => slot.start === start);
+  if (!isScheduled) {
+    return { ok: false, status: 400, message: "الوقت المختار ليس ضمن مواعيد الطبيب المتاحة" };
+  }
+
+  const [day] = await computeAvailability({
+    profile,
+    location,
+    fromIso: dateIso,
+    toIso: dateIso,
+    durationMinutes,
+    excludeAppointmentId,
+  });
+  const time = fromMinutes(start);
+  if (!day || !day.slots.some((slot) => slot.time === time)) {
+    return { ok: false, status: 409, message: "هذا الموعد محجوز مسبقاً، اختر وقتاً آخر" };
+  }
+  return { ok: true };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  BUSY_STATUSES,
+  MAX_RANGE_DAYS,
+  formatYmd,
+  isValidDateIso,
+  addDaysIso,
+  getDayKey,
+  toMinutes,
+  fromMinutes,
+  resolveSchedule,
+  buildDaySlots,
+  loadExceptions,
+  resolveDaySchedule,
+  computeAvailability,
+  checkSlotBookable,
+};
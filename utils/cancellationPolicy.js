@@ -0,0 +1,77 @@
+const Appointment = require("../models/Appointment");
+const { toMinutes } = require("./availability");
+
+const DEFAULT_CANCELLATION_POLICY = {
+  minNoticeHours: 0,
+  lateCancellationCountsAsNoShow: false,
+  maxCancellationsPerMonth: 0,
+};
+
+const resolveCancellationPolicy = (profile) => {
+  const raw = profile?.cancellationPolicy?.toObject
+    ? profile.cancellationPolicy.toObject()
+    : profile?.cancellationPolicy || {};
+  return { ...DEFAULT_CANCELLATION_POLICY, ...raw };
+};
+
+// Server-local start time of an appointment (same convention as reminders)
+const getAppointmentStart = (appointment) => {
+  const minutes = toMinutes(appointment.appointmentTimeValue || appointment.appointmentTime);
+  if (!appointment.appointmentDateIso || minutes === null) return null;
+  const start = new Date(`${appointment.appointmentDateIso}T00:00:00`);
+  if (Number.isNaN(start.getTime())) return null;
+  start.setMinutes(minutes);
+  return start;
+};
+
+/**
+ * Check a patient cancellation against the doctor's policy.
+ * Returns { ok: true, late } where `late` means the cancellation must be
+ * recorded as a no-show, or { ok: false, code, message } when refused.
+ */
+const checkPatientCancellation = async ({ appointment, profile, patientId }) => {
+  const policy = resolveCancellationPolicy(profile);
+
+  if (policy.maxCancellationsPerMonth > 0 && profile?._id) {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const used = await Appointment.countDocuments({
+      user: patientId,
+      doctorProfile: profile._id,
+      statusHistory: {
+        $elemMatch: { byRole: "patient", to: { $in: ["cancelled", "no_show"] }, at: { $gte: monthStart } },
+      },
+    });
+    if (used >= policy.maxCancellationsPerMonth) {
+      return {
+        ok: false,
+        code: "E_CANCEL_LIMIT_REACHED",
+        message: `وصلت إلى الحد الأقصى لعدد الإلغاءات لدى هذا الطبيب هذا الشهر (${policy.maxCancellationsPerMonth})`,
+        policy,
+      };
+    }
+  }
+
+  // The notice window only protects bookings the doctor already confirmed
+  if (policy.minNoticeHours > 0 && appointment.status === "confirmed") {
+    const start = getAppointmentStart(appointment);
+    const noticeMs = start ? start.getTime() - Date.now() : Infinity;
+    if (noticeMs < policy.minNoticeHours * 60 * 60 * 1000) {
+      if (policy.lateCancellationCountsAsNoShow) return { ok: true, late: true, policy };
+      return {
+        ok: false,
+        code: "E_CANCEL_TOO_LATE",
+        message: `لا يمكن إلغاء الحجز قبل أقل من ${policy.minNoticeHours} ساعة من موعده`,
+        policy,
+      };
+    }
+  }
+
+  return { ok: true, late: false, policy };
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  resolveCancellationPolicy,
+  checkPatientCancellation,
+};
@@ -0,0 +1,158 @@
+const Appointment = require("../models/Appointment");
+const ClinicQueue = require("../models/ClinicQueue");
+const { DEFAULT_SCHEDULE } = require("./availability");
+
+// Appointments that are still expected in the clinic that day.
+const QUEUE_STATUSES = ["confirmed", "checked_in"];
+
+const queueRoom = (profileId, dateIso) => `queue:${profileId}:${dateIso}`;
+
+const getQueue = async (profileId, dateIso) =>
+  ClinicQueue.findOneAndUpdate(
+    { doctorProfile: profileId, dateIso },
+    { $setOnInsert: { doctorProfile: profileId, dateIso } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+const loadQueueAppointments = (profileId, dateIso) =>
+  Appointment.find({
+    doctorProfile: profileId,
+    appointmentDateIso: dateIso,
+    status: { $in: QUEUE_STATUSES },
+    doctorQueueNumber: { $type: "number" },
+  })
+    .select("doctorQueueNumber status service.durationMinutes")
+    .sort({ doctorQueueNumber: 1 })
+    .lean();
+
+/**
+ * Public view of the queue (no patient details).
+ * `remaining` lists the numbers still to be called with an estimated wait,
+ * summed from the service durations of everyone ahead (current visit included).
+ */
+const buildQueueSnapshot = async (profile, queue) => {
+  const appointments = await loadQueueAppointments(profile._id, queue.dateIso);
+  const fallbackDuration = Number(profile.schedule?.duration) || DEFAULT_SCHEDULE.duration;
+  const durationOf = (appt) =>
+    Number(appt?.service?.durationMinutes) > 0 ? Number(appt.service.durationMinutes) : fallbackDuration;
+
+  const skipped = new Set(queue.skippedNumbers || []);
+  const current = appointments.find((a) => a.doctorQueueNumber === queue.currentNumber);
+
+  let waitMinutes = current ? durationOf(current) : 0;
+  const remaining = appointments
+    .filter((a) => a.doctorQueueNumber > (queue.lastCalledNumber || 0) && !skipped.has(a.doctorQueueNumber))
+    .map((a) => {
+      const item = {
+        queueNumber: a.doctorQueueNumber,
+        checkedIn: a.status === "checked_in",
+        estimatedWaitMinutes: waitMinutes,
+      };
+      waitMinutes += durationOf(a);
+      return item;
+    });
+
+  return {
+    doctorProfileId: String(profile._id),
+    dateIso: queue.dateIso,
+    currentNumber: queue.currentNumber,
+    skippedNumbers: queue.skippedNumbers || [],
+    remaining,
+    remainingCount: remaining.length,
+    estimatedTotalMinutes: waitMinutes,
+    updatedAt: queue.updatedAt,
+  };
+};
+
+// Snapshot for a day that may not have a stored queue yet (read-only).
+const getQueueSnapshot = async (profile, dateIso) => {
+  const queue = await ClinicQueue.findOne({ doctorProfile: profile._id, dateIso }).lean();
+  return buildQueueSnapshot(
+    profile,
+    queue || { dateIso, currentNumber: null, lastCalledNumber: 0, skippedNumbers: [], updatedAt: null }
+  );
+};
+
+const queueError = (message, status = 409) => {
+  const err = new Error(message);
+  err.code = "E_QUEUE_ACTION";
+  err.status = status;
+  return err;
+};
+
+const isQueueError = (err) => err?.code === "E_QUEUE_ACTION";
+
+const callNumber = (queue, appointment, action) => {
+  queue.currentNumber = appointment.doctorQueueNumber;
+  queue.currentAppointment = appointment._id;
+  queue.history.push({ action, number: queue.currentNumber, at: new Date() });
+};
+
+/**
+ * Apply a doctor action to the day's queue and persist it.
+ * - advance: call the next number after the last called one
+ * - skip: park the current number in skippedNumbers, then advance
+ * - recall: call the current number again, or bring back a skipped `number`
+ */
+const applyQueueAction = async ({ profile, dateIso, action, number }) => {
+  const queue = await getQueue(profile._id, dateIso);
+  const appointments = await loadQueueAppointments(profile._id, dateIso);
+
+  if (action === "recall") {
+    if (number === undefined || number === null || number === "") {
+      if (queue.currentNumber === null) throw queueError("لا يوجد رقم حالي لإعادة النداء");
+      queue.history.push({ action: "recall", number: queue.currentNumber, at: new Date() });
+    } else {
+      const target = Number(number);
+      if (!(queue.skippedNumbers || []).includes(target)) {
+        throw queueError("يمكن إعادة نداء الأرقام المتجاوزة فقط", 400);
+      }
+      const appt = appointments.find((a) => a.doctorQueueNumber === target);
+      if (!appt) throw queueError("هذا الحجز لم يعد ضمن الدور");
+      queue.skippedNumbers = queue.skippedNumbers.filter((n) => n !== target);
+      callNumber(queue, appt, "recall");
+    }
+    await queue.save();
+    return queue;
+  }
+
+  if (action === "skip") {
+    if (queue.currentNumber === null) throw queueError("لا يوجد رقم حالي لتجاوزه");
+    if (!queue.skippedNumbers.includes(queue.currentNumber)) {
+      queue.skippedNumbers.push(queue.currentNumber);
+    }
+    queue.history.push({ action: "skip", number: queue.currentNumber, at: new Date() });
+  }
+
+  const next = appointments.find(
+    (a) => a.doctorQueueNumber > (queue.lastCalledNumber || 0) && !queue.skippedNumbers.includes(a.doctorQueueNumber)
+  );
+  if (!next) {
+    if (action !== "skip") throw queueError("لا يوجد مراجعون متبقون في الدور");
+    queue.currentNumber = null;
+    queue.currentAppointment = null;
+    await queue.save();
+    return queue;
+  }
+
+  queue.lastCalledNumber = next.doctorQueueNumber;
+  callNumber(queue, next, "advance");
+  await queue.save();
+  return queue;
+};
+
+const broadcastQueue = (io, snapshot) => {
+  if (!io || !snapshot) return;
+  io.to(queueRoom(snapshot.doctorProfileId, snapshot.dateIso)).emit("queue:update", snapshot);
+};
+
+module.exports = {
+  QUEUE_STATUSES,
+  queueRoom,
+  getQueue,
+  buildQueueSnapshot,
+  getQueueSnapshot,
+  applyQueueAction,
+  broadcastQueue,
+  isQueueError,
+};
@@ -0,0 +1,59 @@
+const DEPENDENT_RELATIONSHIPS = ["child", "spouse", "parent", "sibling", "other"];
+const DEPENDENT_SEXES = ["male", "female"];
+const MAX_DEPENDENTS = 10;
+
+// Whole years between a YYYY-MM-DD birth date and today; null when unknown.
+const ageFromBirthDate = (birthDate) => {
+  const m = String(birthDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const now = new Date();
+  let age = now.getFullYear() - Number(m[1]);
+  const beforeBirthday =
+    now.getMonth() + 1 < Number(m[2]) || (now.getMonth() + 1 === Number(m[2]) && now.getDate() < Number(m[3]));
+  if (beforeBirthday) age -= 1;
+  return age >= 0 ? age : null;
+};
+
+// Copy stored on the appointment so later edits of the dependent do not rewrite history.
+const toDependentSnapshot = (dependent) => ({
+  dependentId: dependent._id,
+  name: dependent.name,
+  birthDate: dependent.birthDate || "",
+  sex: dependent.sex || "",
+  relationship: dependent.relationship || "",
+});
+
+/**
+ * Who the visit is for: the dependent when the booking targets one,
+ * otherwise the account holder (appointment.user populated or not).
+ */
+const getPatientDisplay = (appointment) => {
+  const dependent = appointment?.dependent;
+  if (dependent?.dependentId) {
+    return {
+      name: dependent.name || "",
+      age: ageFromBirthDate(dependent.birthDate),
+      sex: dependent.sex || "",
+      isDependent: true,
+      relationship: dependent.relationship || "",
+      accountHolderName: appointment.user?.name || "",
+    };
+  }
+  return {
+    name: appointment?.user?.name || "",
+    age: appointment?.user?.age ?? null,
+    sex: "",
+    isDependent: false,
+    relationship: "",
+    accountHolderName: appointment?.user?.name || "",
+  };
+};
+
+module.exports = {
+  DEPENDENT_RELATIONSHIPS,
+  DEPENDENT_SEXES,
+  MAX_DEPENDENTS,
+  ageFromBirthDate,
+  toDependentSnapshot,
+  getPatientDisplay,
+};
@@ -0,0 +1,99 @@
+const DoctorProfile = require("../models/DoctorProfile");
+const DoctorLocation = require("../models/DoctorLocation");
+const Block = require("../models/Block");
+const { formatYmd, addDaysIso, computeAvailability } = require("./availability");
+const { toLocationSnapshot } = require("./doctorLocations");
+const { toRatingSummary } = require("./reviews");
+const { ensureDoctorPrefix } = require("./doctorName");
+
+// How far ahead the "next available slot" on a card looks
+const NEXT_SLOT_HORIZON_DAYS = 14;
+// Only the first cards get a next slot (each costs an availability scan per clinic);
+// later cards return null and the app loads availability when the doctor is opened
+const NEXT_SLOT_MAX_CARDS = 10;
+
+const CARD_PROFILE_FIELDS =
+  "user displayName avatarUrl specialty specialtySlug specialtyLabel location consultationFee " +
+  "schedule status isAcceptingBookings subscriptionEndsAt ratingAverage ratingCount";
+
+const isBookable = (profile, now = new Date()) =>
+  profile.status === "active" &&
+  profile.isAcceptingBookings !== false &&
+  !!profile.subscriptionEndsAt &&
+  new Date(profile.subscriptionEndsAt) > now;
+
+// Earliest free slot over the main clinic and every active location (busy time is doctor-wide).
+const findNextSlot = async (profile) => {
+  const fromIso = formatYmd(new Date());
+  const toIso = addDaysIso(fromIso, NEXT_SLOT_HORIZON_DAYS - 1);
+  const locations = await DoctorLocation.find({ doctorProfile: profile._id, isActive: true }).select(
+    "name address schedule"
+  );
+
+  let best = null;
+  for (const location of [null, ...locations]) {
+    const durationMinutes = Number((location || profile).schedule?.duration) || 0;
+    const days = await computeAvailability({ profile, location, fromIso, toIso, durationMinutes });
+    const day = days.find((d) => d.slots.length);
+    if (!day) continue;
+    const candidate = { date: day.date, time: day.slots[0].time, location: toLocationSnapshot(location) };
+    if (!best || `${candidate.date} ${candidate.time}` < `${best.date} ${best.time}`) best = candidate;
+  }
+  return best;
+};
+
+/**
+ * Summary cards for a patient's doctor shortcuts (favourites, recent doctors), in the
+ * order of `profileIds`. Missing profiles are dropped. `extras` maps a profile id to
+ * fields merged into its card (e.g. lastVisitDate). `nextAvailableSlot` is computed for
+ * the first NEXT_SLOT_MAX_CARDS bookable cards only.
+ */
+const buildDoctorCards = async ({ profileIds = [], patientId, extras = new Map() }) => {
+  if (!profileIds.length) return [];
+
+  const profiles = await DoctorProfile.find({ _id: { $in: profileIds } }).select(CARD_PROFILE_FIELDS);
+  const byId = new Map(profiles.map((p) => [String(p._id), p]));
+
+  const blocks = await Block.find({
+    doctor: { $in: profiles.map((p) => p.user) },
+    patient: patientId,
+  })
+    .select("doctor blockChat blockBooking")
+    .lean();
+  const blockByDoctorUser = new Map(blocks.map((b) => [String(b.doctor), b]));
+
+  const now = new Date();
+  let slotLookups = 0;
+  const cards = await Promise.all(
+    profileIds.map(async (id) => {
+      const profile = byId.get(String(id));
+      if (!profile) return null;
+      const block = blockByDoctorUser.get(String(profile.user));
+      const bookable = isBookable(profile, now);
+      const blockedBooking = !!block?.blockBooking;
+      // Counted synchronously, so the cap follows the order of profileIds
+      const withNextSlot = bookable && !blockedBooking && slotLookups++ < NEXT_SLOT_MAX_CARDS;
+      return {
+        _id: profile._id,
+        displayName: ensureDoctorPrefix(profile.displayName),
+        avatarUrl: profile.avatarUrl || "",
+        specialty: profile.specialtyLabel || profile.specialty || "",
+        specialtySlug: profile.specialtySlug || "",
+        location: profile.location || "",
+        consultationFee: profile.consultationFee,
+        rating: toRatingSummary(profile),
+        isBookable: bookable,
+        blocked: { booking: blockedBooking, chat: !!block?.blockChat },
+        nextAvailableSlot: withNextSlot ? await findNextSlot(profile) : null,
+        ...(extras.get(String(id)) || {}),
+      };
+    })
+  );
+  return cards.filter(Boolean);
+};
+
+module.exports = {
+  NEXT_SLOT_HORIZON_DAYS,
+  NEXT_SLOT_MAX_CARDS,
+  buildDoctorCards,
+};
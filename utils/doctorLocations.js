@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const DoctorLocation = require("../models/DoctorLocation");
+
+const normalizePhone = (phone) => String(phone || "").replace(/\s|-/g, "").trim();
+
+const toLocationSnapshot = (location) =>
+  location
+    ? {
+        locationId: location._id,
+        name: location.name || "",
+        address: location.address || "",
+      }
+    : null;
+
+/**
+ * Resolve the clinic a booking targets.
+ * No locationId = the profile's main clinic (location: null), as before locations existed.
+ * A service tied to one location cannot be booked elsewhere.
+ * Returns { ok: true, location } or { ok: false, status, message }.
+ */
+const resolveBookingLocation = async ({ profile, locationId, service }) => {
+  let location = null;
+  if (locationId) {
+    if (!mongoose.isValidObjectId(locationId)) {
+      return { ok: false, status: 400, message: "Invalid location id" };
+    }
+    location = await DoctorLocation.findOne({
+      _id: locationId,
+      doctorProfile: profile._id,
+      isActive: true,
+    });
+    if (!location) {
+      return { ok: false, status: 404, message: "العيادة المختارة غير متاحة لدى هذا الطبيب" };
+    }
+  }
+
+  const serviceLocation = service?.location ? String(service.location) : "";
+  if (serviceLocation && serviceLocation !== String(location?._id || "")) {
+    return { ok: false, status: 400, message: "الخدمة المختارة غير متاحة في هذه العيادة" };
+  }
+  return { ok: true, location };
+};
+
+// Location document stored on an appointment (null for the main clinic or a removed location).
+const loadAppointmentLocation = (appointment) =>
+  appointment?.location?.locationId ? DoctorLocation.findById(appointment.location.locationId) : null;
+
+const isLocationSecretary = (location, phone) =>
+  !!location?.secretaryPhone && normalizePhone(phone) === normalizePhone(location.secretaryPhone);
+
+module.exports = {
+  toLocationSnapshot,
+  resolveBookingLocation,
+  loadAppointmentLocation,
+  isLocationSecretary,
+};
@@ -0,0 +1,13 @@
+// Doctor names are shown with the Arabic prefix "د. " everywhere (stored names may or may not carry it)
+const DOCTOR_PREFIX_PATTERN = /^د\s*\.?\s*/i;
+
+const ensureDoctorPrefix = (rawName = "") => {
+  const name = String(rawName || "").trim();
+  if (!name) return name;
+  const stripped = DOCTOR_PREFIX_PATTERN.test(name) ? name.replace(DOCTOR_PREFIX_PATTERN, "").trim() : name;
+  return `د. ${stripped}`;
+};
+
+module.exports = {
+  ensureDoctorPrefix,
+};
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// GeoJSON point for a 2dsphere index ([lng, lat] order); undefined when coordinates are missing.
+const toGeoPoint = (lat, lng) => {
+  if (typeof lat !== "number" || typeof lng !== "number") return undefined;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return undefined;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], default: undefined },
+  },
+  { _id: false }
+);
+
+// Schema path definition shared by models that carry locationLat/locationLng.
+const geoPointPath = () => ({ type: pointSchema, default: undefined });
+
+// pre("save") hook keeping `geoLocation` in sync with locationLat/locationLng.
+function syncGeoLocation(next) {
+  if (this.isNew || this.isModified("locationLat") || this.isModified("locationLng")) {
+    this.geoLocation = toGeoPoint(this.locationLat, this.locationLng);
+  }
+  next();
+}
+
+module.exports = {
+  toGeoPoint,
+  geoPointPath,
+  syncGeoLocation,
+};
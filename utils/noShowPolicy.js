@@ -0,0 +1,66 @@
+const Appointment = require("../models/Appointment");
+const Block = require("../models/Block");
+const User = require("../models/User");
+const { addDaysIso, formatYmd } = require("./availability");
+
+// NO_SHOW_ACTION: "block" (Block with blockBooking for that doctor), "flag" (global admin review) or "none"
+const getNoShowPolicy = () => {
+  const threshold = Number(process.env.NO_SHOW_THRESHOLD || 3);
+  const windowDays = Number(process.env.NO_SHOW_WINDOW_DAYS || 90);
+  const action = String(process.env.NO_SHOW_ACTION || "block").toLowerCase();
+  return {
+    threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : 3,
+    windowDays: Number.isFinite(windowDays) && windowDays > 0 ? windowDays : 90,
+    action: ["block", "flag", "none"].includes(action) ? action : "block",
+  };
+};
+
+const countNoShows = ({ patientId, doctorProfileId, sinceIso }) =>
+  Appointment.countDocuments({
+    user: patientId,
+    status: "no_show",
+    appointmentDateIso: { $gte: sinceIso },
+    ...(doctorProfileId ? { doctorProfile: doctorProfileId } : {}),
+  });
+
+/**
+ * Record a no-show for a patient and enforce the configured policy.
+ * Call after the appointment was saved as no_show.
+ * Returns { count, blocked, flagged }.
+ */
+const applyNoShowPolicy = async ({ patientId, doctorProfile }) => {
+  await User.updateOne({ _id: patientId }, { $inc: { noShowCount: 1 } });
+
+  const policy = getNoShowPolicy();
+  const sinceIso = addDaysIso(formatYmd(new Date()), -policy.windowDays);
+  const result = { count: 0, blocked: false, flagged: false };
+  if (policy.action === "none") return result;
+
+  if (policy.action === "block") {
+    result.count = await countNoShows({ patientId, doctorProfileId: doctorProfile._id, sinceIso });
+    if (result.count >= policy.threshold && doctorProfile.user) {
+      await Block.findOneAndUpdate(
+        { doctor: doctorProfile.user, patient: patientId },
+        { $set: { blockBooking: true } },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      result.blocked = true;
+    }
+    return result;
+  }
+
+  result.count = await countNoShows({ patientId, sinceIso });
+  if (result.count >= policy.threshold) {
+    const flagged = await User.updateOne(
+      { _id: patientId, noShowFlagged: { $ne: true } },
+      { $set: { noShowFlagged: true, noShowFlaggedAt: new Date() } }
+    );
+    result.flagged = flagged.modifiedCount > 0;
+  }
+  return result;
+};
+
+module.exports = {
+  getNoShowPolicy,
+  applyNoShowPolicy,
+};
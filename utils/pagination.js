@@ -0,0 +1,213 @@
+const mongoose = require("mongoose");
+
+// Cursor pagination shared by list endpoints.
+// Query: ?limit=&cursor=&sort=<field>|-<field> plus the filters of buildListFilter().
+// Response envelope: { items, nextCursor } (nextCursor null on the last page).
+// Endpoints that returned everything before paging existed pass `legacyUnbounded`: a request
+// without limit and cursor then still gets every row (list.limit === null). Endpoints that had
+// a fixed cap pass `legacyLimit` instead, which such a request gets as its page size.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const isListQueryError = (err) => err?.code === "E_BAD_LIST_QUERY";
+
+const listQueryError = (message) => {
+  const err = new Error(message);
+  err.code = "E_BAD_LIST_QUERY";
+  err.status = 400;
+  return err;
+};
+
+// The cursor remembers the sort it was issued for, the last item's sort value and _id,
+// and how many items came before the next page (for running indexes such as doctorIndex).
+const encodeCursor = ({ sort, value, id, offset }) => {
+  const payload = { s: sort, id: String(id), o: offset };
+  if (value instanceof Date) payload.d = value.toISOString();
+  else payload.v = value === undefined ? null : value;
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (raw, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+  } catch (_) {
+    parsed = null;
+  }
+  if (!parsed || parsed.s !== sort || !mongoose.isValidObjectId(parsed.id)) {
+    throw listQueryError("Invalid cursor");
+  }
+  const value = typeof parsed.d === "string" ? new Date(parsed.d) : parsed.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) {
+    throw listQueryError("Invalid cursor");
+  }
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(parsed.id),
+    offset: Math.max(0, Number(parsed.o) || 0),
+  };
+};
+
+/**
+ * Read limit/cursor/sort from a request query.
+ * `sortFields` whitelists sortable paths (missing values are paged correctly, see pageQuery).
+ * Throws E_BAD_LIST_QUERY (status 400) for unknown sorts or foreign/garbled cursors.
+ */
+const parseListQuery = (
+  query = {},
+  {
+    sortFields = ["createdAt"],
+    defaultSort = "-createdAt",
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT,
+    legacyUnbounded = false,
+    legacyLimit = null,
+  } = {}
+) => {
+  const sort = typeof query.sort === "string" && query.sort.trim() ? query.sort.trim() : defaultSort;
+  const field = sort.replace(/^-/, "");
+  if (!sortFields.includes(field)) {
+    throw listQueryError(`sort must be one of: ${sortFields.map((f) => `${f}, -${f}`).join(", ")}`);
+  }
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw listQueryError("limit must be a positive integer");
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  const legacyRequest = (query.limit === undefined || query.limit === "") && !cursor;
+  if (legacyRequest && legacyUnbounded) limit = null;
+  else if (legacyRequest && legacyLimit) limit = legacyLimit;
+
+  return {
+    sort,
+    field,
+    dir: sort.startsWith("-") ? -1 : 1,
+    limit,
+    cursor,
+    offset: cursor ? cursor.offset : 0,
+  };
+};
+
+/**
+ * Filter/sort/limit for one page: the caller's filter narrowed to items after the cursor,
+ * sorted by (field, _id). Fetches one extra document to know whether a next page exists.
+ * Missing/null values sort before every other value (MongoDB order), so optional fields
+ * such as appointmentDateIso can be sorted on too.
+ */
+const pageQuery = (list, filter = {}) => {
+  const sort = { [list.field]: list.dir, _id: list.dir };
+  // limit(0) is "no limit" for unbounded legacy requests
+  const limit = list.limit === null ? 0 : list.limit + 1;
+  if (!list.cursor) return { filter, sort, limit };
+
+  const op = list.dir === 1 ? "$gt" : "$lt";
+  const { value, id } = list.cursor;
+  const isNull = value === null || value === undefined;
+  // { field: null } also matches documents without the field
+  const branches = [{ [list.field]: isNull ? null : value, _id: { [op]: id } }];
+  if (isNull && list.dir === 1) branches.push({ [list.field]: { $ne: null } });
+  if (!isNull) branches.push({ [list.field]: { [op]: value } });
+  if (!isNull && list.dir === -1) branches.push({ [list.field]: null });
+  const after = { $or: branches };
+  return { filter: { $and: [filter, after] }, sort, limit };
+};
+
+const readPath = (doc, path) =>
+  typeof doc?.get === "function" ? doc.get(path) : path.split(".").reduce((acc, key) => acc?.[key], doc);
+
+// Trim the extra document fetched by pageQuery() and issue the next cursor.
+const toPage = (docs = [], list) => {
+  if (list.limit === null) return { items: docs, nextCursor: null };
+  const hasMore = docs.length > list.limit;
+  const items = hasMore ? docs.slice(0, list.limit) : docs;
+  const last = items[items.length - 1];
+  const nextCursor =
+    hasMore && last
+      ? encodeCursor({
+          sort: list.sort,
+          value: readPath(last, list.field),
+          id: last._id,
+          offset: list.offset + items.length,
+        })
+      : null;
+  return { items, nextCursor };
+};
+
+const DATE_ISO_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDateParam = (raw, name) => {
+  if (raw === undefined || raw === "") return null;
+  const value = String(raw);
+  if (!DATE_ISO_PATTERN.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw listQueryError(`${name} must be YYYY-MM-DD`);
+  }
+  return value;
+};
+
+/**
+ * Common list filters, each applied only when the route maps it to a path:
+ *   ?status=a,b            -> paths.status (validated against `statuses` when given)
+ *   ?from=&to=YYYY-MM-DD   -> paths.dateIso (string day) or paths.date (Date, inclusive days)
+ *   ?doctor=<profileId>    -> paths.doctor
+ *   ?specialty=<slug>      -> paths.specialty
+ */
+const buildListFilter = (query = {}, paths = {}, { statuses = null } = {}) => {
+  const filter = {};
+
+  if (paths.status && typeof query.status === "string" && query.status.trim()) {
+    const values = [...new Set(query.status.split(",").map((s) => s.trim()).filter(Boolean))];
+    const unknown = statuses ? values.filter((s) => !statuses.includes(s)) : [];
+    if (unknown.length) {
+      throw listQueryError(`Unknown status: ${unknown.join(", ")}`);
+    }
+    filter[paths.status] = values.length === 1 ? values[0] : { $in: values };
+  }
+
+  const from = parseDateParam(query.from, "from");
+  const to = parseDateParam(query.to, "to");
+  if (from && to && from > to) {
+    throw listQueryError("from must not be after to");
+  }
+  if (paths.dateIso && (from || to)) {
+    filter[paths.dateIso] = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  } else if (paths.date && (from || to)) {
+    const range = {};
+    if (from) range.$gte = new Date(`${from}T00:00:00`);
+    if (to) {
+      const end = new Date(`${to}T00:00:00`);
+      end.setDate(end.getDate() + 1);
+      range.$lt = end;
+    }
+    filter[paths.date] = range;
+  }
+
+  if (paths.doctor && query.doctor) {
+    if (!mongoose.isValidObjectId(String(query.doctor))) {
+      throw listQueryError("Invalid doctor id");
+    }
+    filter[paths.doctor] = new mongoose.Types.ObjectId(String(query.doctor));
+  }
+
+  if (paths.specialty && typeof query.specialty === "string" && query.specialty.trim()) {
+    filter[paths.specialty] = query.specialty.trim();
+  }
+
+  return filter;
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  isListQueryError,
+  parseListQuery,
+  pageQuery,
+  toPage,
+  buildListFilter,
+};
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+
+// Structured prescription items stored on Appointment.prescriptionItems.
+// Appointment.doctorPrescriptions keeps one formatted text line per item for older clients.
+
+const MAX_PRESCRIPTION_ITEMS = 30;
+const LEGACY_LINE_MAX = 500;
+
+// field -> max length; drugName is the only required one
+const PRESCRIPTION_FIELDS = {
+  drugName: 120,
+  strength: 60,
+  form: 60,
+  dose: 120,
+  frequency: 120,
+  duration: 120,
+  instructions: 500,
+};
+
+/**
+ * Validate one item. Legacy clients send plain strings, which become { drugName }.
+ * Returns { value } or { error }.
+ */
+const normalizePrescriptionItem = (raw) => {
+  if (typeof raw === "string") {
+    const drugName = raw.trim();
+    if (!drugName) return { value: null };
+    return { value: { drugName: drugName.slice(0, LEGACY_LINE_MAX) } };
+  }
+  if (!raw || typeof raw !== "object") return { error: "عنصر الوصفة غير صالح" };
+
+  const value = {};
+  for (const [field, maxLength] of Object.entries(PRESCRIPTION_FIELDS)) {
+    const text = typeof raw[field] === "string" ? raw[field].trim() : "";
+    if (text.length > maxLength) return { error: `${field} يجب ألا يتجاوز ${maxLength} حرف` };
+    value[field] = text;
+  }
+  if (raw.medicationId !== undefined && raw.medicationId !== null && raw.medicationId !== "") {
+    if (!mongoose.isValidObjectId(raw.medicationId)) return { error: "Invalid medication id" };
+    value.medicationId = String(raw.medicationId);
+  }
+  if (!value.drugName && !value.medicationId) return { error: "اسم الدواء مطلوب لكل عنصر في الوصفة" };
+  return { value };
+};
+
+const normalizePrescriptionItems = (rawItems) => {
+  if (!Array.isArray(rawItems)) return { error: "prescriptions must be an array" };
+  const items = [];
+  for (const raw of rawItems) {
+    const { value, error } = normalizePrescriptionItem(raw);
+    if (error) return { error };
+    if (value) items.push(value);
+  }
+  if (items.length > MAX_PRESCRIPTION_ITEMS) {
+    return { error: `لا يمكن أن تتجاوز الوصفة ${MAX_PRESCRIPTION_ITEMS} دواء` };
+  }
+  return { items };
+};
+
+// Empty fields of an item are taken from the doctor's saved medication
+const applyMedicationDefaults = (item, medication) => ({
+  ...item,
+  drugName: item.drugName || medication.drugName,
+  strength: item.strength || medication.strength,
+  form: item.form || medication.form,
+  dose: item.dose || medication.dose,
+  frequency: item.frequency || medication.frequency,
+  duration: item.duration || medication.duration,
+  instructions: item.instructions || medication.instructions,
+});
+
+// "Amoxicillin 500mg capsule - 1 capsule، 3 times daily، 7 days (after food)"
+const formatPrescriptionLine = (item) => {
+  const head = [item.drugName, item.strength, item.form].filter(Boolean).join(" ");
+  const usage = [item.dose, item.frequency, item.duration].filter(Boolean).join("، ");
+  return `${head}${usage ? ` - ${usage}` : ""}${item.instructions ? ` (${item.instructions})` : ""}`;
+};
+
+// Items of an appointment, falling back to its legacy text lines
+const getPrescriptionItems = (appointment) => {
+  if (Array.isArray(appointment?.prescriptionItems) && appointment.prescriptionItems.length) {
+    return appointment.prescriptionItems;
+  }
+  return (appointment?.doctorPrescriptions || [])
+    .filter((line) => typeof line === "string" && line.trim())
+    .map((line) => ({ drugName: line.trim() }));
+};
+
+module.exports = {
+  MAX_PRESCRIPTION_ITEMS,
+  PRESCRIPTION_FIELDS,
+  normalizePrescriptionItem,
+  normalizePrescriptionItems,
+  applyMedicationDefaults,
+  formatPrescriptionLine,
+  getPrescriptionItems,
+};
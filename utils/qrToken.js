@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const QRCode = require("qrcode");
+const Appointment = require("../models/Appointment");
+
+// Compact signed QR token: MQ1.<base64url claims>.<base64url HMAC-SHA256 (128 bit)>
+// Claims carry only { a: appointmentId, q: doctorQueueNumber, d: appointmentDateIso },
+// plus p: dependentId when the booking is for a family member.
+const TOKEN_PREFIX = "MQ1";
+const SIGNATURE_BYTES = 16;
+
+const isProduction = () => String(process.env.NODE_ENV || "").toLowerCase() === "production";
+
+const getSigningKey = () => {
+  const raw = String(process.env.QR_SIGNING_KEY || "");
+  if (raw) return raw;
+  if (isProduction()) {
+    const err = new Error("QR_SIGNING_KEY is missing");
+    err.code = "E_QR_KEY_MISSING";
+    throw err;
+  }
+  // Non-production fallback so local setups work without extra config.
+  return `qr:${process.env.JWT_SECRET || "dev"}`;
+};
+
+const computeSignature = (body) =>
+  crypto
+    .createHmac("sha256", getSigningKey())
+    .update(`${TOKEN_PREFIX}.${body}`)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString("base64url");
+
+const normalizeQueueNumber = (value) =>
+  value === 0 || typeof value === "number" ? Number(value) : null;
+
+const signQrToken = (appointment) => {
+  const claims = {
+    a: String(appointment._id),
+    q: normalizeQueueNumber(appointment.doctorQueueNumber),
+    d: appointment.appointmentDateIso || "",
+  };
+  const dependentId = appointment.dependent?.dependentId;
+  if (dependentId) claims.p = String(dependentId);
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${TOKEN_PREFIX}.${body}.${computeSignature(body)}`;
+};
+
+// Set qrPayload/qrCode on the document without saving it (callers save, possibly in a transaction).
+const attachQrCode = async (appointment) => {
+  const qrPayload = signQrToken(appointment);
+  appointment.qrCode = await QRCode.toDataURL(qrPayload, { errorCorrectionLevel: "M" });
+  appointment.qrPayload = qrPayload;
+  return appointment;
+};
+
+// Unsigned JSON payloads (pre-token QR codes) keep working during a migration window that ends
+// on QR_LEGACY_ACCEPT_UNTIL (YYYY-MM-DD), or on this date when the variable is unset or invalid.
+// Opening a booking regenerates its QR as a signed token, so the window only needs to cover
+// bookings made before signed tokens were deployed.
+const DEFAULT_LEGACY_ACCEPT_UNTIL = "2026-11-30";
+
+const isLegacyWindowOpen = () => {
+  const configured = String(process.env.QR_LEGACY_ACCEPT_UNTIL || "").trim();
+  let cutoff = new Date(`${configured}T23:59:59`);
+  if (!configured || Number.isNaN(cutoff.getTime())) {
+    cutoff = new Date(`${DEFAULT_LEGACY_ACCEPT_UNTIL}T23:59:59`);
+  }
+  return Date.now() <= cutoff.getTime();
+};
+
+const parseLegacyPayload = (raw) => {
+  if (raw && typeof raw === "object") return raw;
+  try {
+    const parsed = JSON.parse(String(raw || ""));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Check a scanned QR value without touching the database.
+ * Returns { ok: true, legacy, claims } or { ok: false, reason }.
+ */
+const verifyQrToken = (raw) => {
+  const text = typeof raw === "string" ? raw.trim() : "";
+  if (text.startsWith(`${TOKEN_PREFIX}.`)) {
+    const [, body, signature] = text.split(".");
+    if (!body || !signature) return { ok: false, reason: "malformed" };
+
+    const expected = Buffer.from(computeSignature(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { ok: false, reason: "bad_signature" };
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      if (!mongoose.Types.ObjectId.isValid(String(claims?.a || ""))) {
+        return { ok: false, reason: "malformed" };
+      }
+      return {
+        ok: true,
+        legacy: false,
+        claims: {
+          appointmentId: String(claims.a),
+          queueNumber: normalizeQueueNumber(claims.q),
+          dateIso: String(claims.d || ""),
+          dependentId: String(claims.p || ""),
+        },
+      };
+    } catch (e) {
+      return { ok: false, reason: "malformed" };
+    }
+  }
+
+  const legacy = parseLegacyPayload(raw);
+  if (!legacy || !mongoose.Types.ObjectId.isValid(String(legacy.appointmentId || ""))) {
+    return { ok: false, reason: "malformed" };
+  }
+  if (!isLegacyWindowOpen()) return { ok: false, reason: "legacy_expired" };
+  // Old payloads always carried the booking number; without it anyone could type a QR by hand
+  const systemBookingNumber = String(legacy.systemBookingNumber ?? legacy.globalBookingNumber ?? "").trim();
+  if (!systemBookingNumber) return { ok: false, reason: "malformed" };
+  return {
+    ok: true,
+    legacy: true,
+    claims: {
+      appointmentId: String(legacy.appointmentId),
+      systemBookingNumber,
+      queueNumber: normalizeQueueNumber(legacy.doctorQueueNumber),
+    },
+  };
+};
+
+/**
+ * Verify a scanned QR and load the appointment it points to.
+ * `allowLegacy: false` refuses unsigned payloads (public endpoints).
+ * Returns { ok: true, appointment, legacy } or { ok: false, status, message }.
+ */
+const resolveScannedQr = async (raw, { allowLegacy = true } = {}) => {
+  const verified = verifyQrToken(raw);
+  if (verified.ok && verified.legacy && !allowLegacy) {
+    return { ok: false, status: 400, message: "رمز QR بصيغة قديمة، يرجى فتح الحجز لتحديث الرمز" };
+  }
+  if (!verified.ok) {
+    const message =
+      verified.reason === "legacy_expired"
+        ? "رمز QR بصيغة قديمة لم يعد مقبولاً، يرجى فتح الحجز لتحديث الرمز"
+        : "رمز QR غير صالح";
+    return { ok: false, status: 400, message };
+  }
+
+  const { claims, legacy } = verified;
+  const appointment = await Appointment.findById(claims.appointmentId);
+  if (!appointment) {
+    return { ok: false, status: 404, message: "Appointment not found" };
+  }
+
+  // A valid signature can still belong to an older version of the booking (e.g. rescheduled)
+  const stale = legacy
+    ? claims.systemBookingNumber !== String(appointment.bookingNumber || "") ||
+      claims.queueNumber !== normalizeQueueNumber(appointment.doctorQueueNumber)
+    : claims.dateIso !== (appointment.appointmentDateIso || "") ||
+      claims.queueNumber !== normalizeQueueNumber(appointment.doctorQueueNumber) ||
+      claims.dependentId !== String(appointment.dependent?.dependentId || "");
+  if (stale) {
+    return { ok: false, status: 400, message: "رمز QR قديم أو لا يطابق الحجز" };
+  }
+
+  return { ok: true, appointment, legacy };
+};
+
+module.exports = {
+  signQrToken,
+  attachQrCode,
+  verifyQrToken,
+  resolveScannedQr,
+};
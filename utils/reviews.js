@@ -0,0 +1,45 @@
+const Review = require("../models/Review");
+const DoctorProfile = require("../models/DoctorProfile");
+
+const REVIEW_COMMENT_MAX = 1000;
+
+/**
+ * Recompute DoctorProfile.ratingAverage/ratingCount from visible reviews.
+ * Called after every review create/hide/restore so lists can sort by rating.
+ */
+const refreshDoctorRating = async (doctorProfileId) => {
+  const [row] = await Review.aggregate([
+    { $match: { doctorProfile: doctorProfileId, status: "visible" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const ratingAverage = row ? Math.round(row.average * 10) / 10 : 0;
+  const ratingCount = row ? row.count : 0;
+  await DoctorProfile.updateOne({ _id: doctorProfileId }, { $set: { ratingAverage, ratingCount } });
+  return { ratingAverage, ratingCount };
+};
+
+const toRatingSummary = (profile) => ({
+  average: profile?.ratingAverage || 0,
+  count: profile?.ratingCount || 0,
+});
+
+// Patients are shown by first name only on public lists
+const toPublicReview = (review) => {
+  const obj = typeof review?.toObject === "function" ? review.toObject() : review;
+  const fullName = String(obj.patient?.name || "").trim();
+  return {
+    _id: obj._id,
+    rating: obj.rating,
+    comment: obj.comment,
+    reply: obj.reply?.text ? obj.reply : null,
+    patientName: fullName.split(/\s+/)[0] || "",
+    createdAt: obj.createdAt,
+  };
+};
+
+module.exports = {
+  REVIEW_COMMENT_MAX,
+  refreshDoctorRating,
+  toRatingSummary,
+  toPublicReview,
+};
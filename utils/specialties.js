@@ -0,0 +1,37 @@
+const Specialty = require("../models/Specialty");
+const { normalizeArabic } = require("./arabicSearch");
+
+const SPECIALTY_PUBLIC_FIELDS = "slug labelAr labelEn icon order";
+
+const normalizeSlug = (raw) => (typeof raw === "string" ? raw.trim().toLowerCase() : "");
+
+// Catalogue entry for a slug; registration only accepts active ones.
+const findSpecialty = async (slug, { activeOnly = true } = {}) => {
+  const value = normalizeSlug(slug);
+  if (!value) return null;
+  return Specialty.findOne({ slug: value, ...(activeOnly ? { isActive: true } : {}) });
+};
+
+// Denormalised copies DoctorProfile keeps next to specialtySlug
+const toProfileSpecialty = (specialty) => ({
+  specialty: specialty.labelAr,
+  specialtySlug: specialty.slug,
+  specialtyLabel: specialty.labelAr,
+});
+
+const listSpecialties = ({ includeInactive = false } = {}) =>
+  Specialty.find(includeInactive ? {} : { isActive: true }).sort({ order: 1, labelAr: 1 });
+
+// Aliases are compared after the same normalisation as the doctor search
+const normalizeAliases = (values = []) => [
+  ...new Set((Array.isArray(values) ? values : []).map((v) => normalizeArabic(v)).filter(Boolean)),
+];
+
+module.exports = {
+  SPECIALTY_PUBLIC_FIELDS,
+  normalizeSlug,
+  findSpecialty,
+  toProfileSpecialty,
+  listSpecialties,
+  normalizeAliases,
+};
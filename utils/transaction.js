@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const toBool = (v) => String(v || "").toLowerCase() === "true";
+
+// null = not probed yet; false once the server rejected transactions (standalone mongod)
+let transactionsSupported = null;
+
+const isTransactionUnsupported = (err) =>
+  err?.code === 20 ||
+  err?.codeName === "IllegalOperation" ||
+  /Transaction numbers are only allowed on a replica set member or mongos/i.test(String(err?.message || ""));
+
+/**
+ * Run `fn(session)` inside a MongoDB transaction and return its result.
+ * Every read/write in `fn` must pass the session; `fn` may be re-run on transient
+ * errors, so keep side effects (push, sockets) outside of it.
+ *
+ * Transactions need a replica set. On a standalone server (local dev/tests) or with
+ * MONGO_TRANSACTIONS_DISABLED=true, `fn(null)` runs without a session instead;
+ * use `mongod --replSet rs0` + `rs.initiate()` locally to exercise the real path.
+ */
+const withTransaction = async (fn) => {
+  if (toBool(process.env.MONGO_TRANSACTIONS_DISABLED) || transactionsSupported === false) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    transactionsSupported = true;
+    return result;
+  } catch (err) {
+    if (transactionsSupported === null && isTransactionUnsupported(err)) {
+      transactionsSupported = false;
+      console.warn("MongoDB transactions unavailable (not a replica set); running without a session");
+      return fn(null);
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
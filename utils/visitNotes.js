@@ -0,0 +1,173 @@
+const VisitNote = require("../models/VisitNote");
+
+// Structured (SOAP) visit notes. Each edit adds a VisitNote version; Appointment.doctorNote
+// mirrors the latest version as plain text for older app builds.
+
+const VISIT_NOTE_TEXT_MAX = 5000;
+const AMENDMENT_REASON_MAX = 500;
+const NOTE_TEXT_FIELDS = ["subjective", "objective", "assessment", "plan", "note"];
+
+// vital -> [min, max] accepted range
+const VITAL_RANGES = {
+  systolic: [40, 300],
+  diastolic: [20, 200],
+  heartRate: [20, 300],
+  respiratoryRate: [4, 80],
+  temperature: [30, 45],
+  oxygenSaturation: [50, 100],
+  weight: [0.5, 500],
+  height: [20, 260],
+};
+
+// Appointment fields only the treating doctor and the patient may read
+const CLINICAL_FIELDS = ["doctorNote", "doctorPrescriptions", "prescriptionItems", "prescribedAt"];
+// Mongoose select() excluding them (admin and secretary responses)
+const NON_CLINICAL_SELECT = CLINICAL_FIELDS.map((field) => `-${field}`).join(" ");
+
+// Plain copy of an already loaded appointment without the clinical fields
+const withoutClinicalFields = (appointment) => {
+  const obj = typeof appointment?.toObject === "function" ? appointment.toObject() : { ...appointment };
+  CLINICAL_FIELDS.forEach((field) => delete obj[field]);
+  return obj;
+};
+
+const VISIT_NOTE_FIELDS =
+  "version original amends amendmentReason author authorName subjective objective assessment plan vitals note createdAt";
+
+const emptyVitals = () => Object.fromEntries(Object.keys(VITAL_RANGES).map((key) => [key, null]));
+
+/**
+ * Merge a request body over the previous version: omitted fields are carried over,
+ * null or "" clears them. Returns { value } or { error }.
+ */
+const normalizeVisitNoteInput = (body = {}, previous = null) => {
+  const value = {};
+  for (const field of NOTE_TEXT_FIELDS) {
+    const raw = body[field];
+    if (raw === undefined) {
+      value[field] = previous?.[field] || "";
+      continue;
+    }
+    if (raw !== null && typeof raw !== "string") return { error: `${field} must be a string` };
+    const text = (raw || "").trim();
+    if (text.length > VISIT_NOTE_TEXT_MAX) return { error: `${field} يجب ألا يتجاوز ${VISIT_NOTE_TEXT_MAX} حرف` };
+    value[field] = text;
+  }
+
+  const vitals = { ...emptyVitals(), ...(previous?.vitals || {}) };
+  if (body.vitals !== undefined && body.vitals !== null && typeof body.vitals !== "object") {
+    return { error: "vitals must be an object" };
+  }
+  for (const [key, raw] of Object.entries(body.vitals || {})) {
+    if (!VITAL_RANGES[key]) return { error: `Unknown vital: ${key}` };
+    if (raw === null || raw === "") {
+      vitals[key] = null;
+      continue;
+    }
+    const number = Number(raw);
+    const [min, max] = VITAL_RANGES[key];
+    if (!Number.isFinite(number) || number < min || number > max) {
+      return { error: `${key} must be between ${min} and ${max}` };
+    }
+    vitals[key] = number;
+  }
+  value.vitals = vitals;
+
+  const hasContent = NOTE_TEXT_FIELDS.some((field) => value[field]) || Object.values(vitals).some((v) => v !== null);
+  if (!hasContent && !previous) return { error: "الملاحظة فارغة" };
+  return { value };
+};
+
+const sameContent = (a, b) =>
+  NOTE_TEXT_FIELDS.every((field) => (a[field] || "") === (b[field] || "")) &&
+  Object.keys(VITAL_RANGES).every((key) => (a.vitals?.[key] ?? null) === (b.vitals?.[key] ?? null));
+
+// Plain-text form stored in Appointment.doctorNote
+const formatVisitNoteText = (note) => {
+  const sections = [
+    ["S", note.subjective],
+    ["O", note.objective],
+    ["A", note.assessment],
+    ["P", note.plan],
+  ]
+    .filter(([, text]) => text)
+    .map(([label, text]) => `${label}: ${text}`);
+  return [note.note, ...sections].filter(Boolean).join("\n");
+};
+
+const getLatestVisitNote = (appointmentId) =>
+  VisitNote.findOne({ appointment: appointmentId }).sort({ version: -1 }).lean();
+
+/**
+ * Add a version to an appointment's visit note. The caller has checked that `author`
+ * is the treating doctor and sets appointment.doctorNote from the returned note.
+ * `baseVersion` (optional) is the version the doctor edited; a newer one means a
+ * concurrent amendment. Returns { note } or { status, error }.
+ */
+const addVisitNoteVersion = async ({ appointment, author, body = {}, baseVersion }) => {
+  let previous = await getLatestVisitNote(appointment._id);
+  if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== (previous?.version || 0)) {
+    return { status: 409, error: "تم تعديل الملاحظة من قبل، يرجى التحديث" };
+  }
+
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+  if (reason.length > AMENDMENT_REASON_MAX) {
+    return { status: 400, error: `reason يجب ألا يتجاوز ${AMENDMENT_REASON_MAX} حرف` };
+  }
+
+  const base = {
+    appointment: appointment._id,
+    doctorProfile: appointment.doctorProfile,
+    patient: appointment.user?._id || appointment.user,
+    author: author._id,
+    authorName: author.name || "",
+  };
+
+  try {
+    // A doctorNote written before versioning becomes version 1, so it is amended rather than lost
+    if (!previous && appointment.doctorNote) {
+      const legacy = await VisitNote.create({ ...base, version: 1, note: appointment.doctorNote });
+      previous = typeof legacy.toObject === "function" ? legacy.toObject() : legacy;
+    }
+
+    const { value, error } = normalizeVisitNoteInput(body, previous);
+    if (error) return { status: 400, error };
+    if (previous && sameContent(previous, value)) {
+      return { status: 400, error: "No changes to save" };
+    }
+
+    const note = await VisitNote.create({
+      ...value,
+      ...base,
+      version: (previous?.version || 0) + 1,
+      original: previous ? previous.original || previous._id : null,
+      amends: previous ? previous._id : null,
+      amendmentReason: previous ? reason : "",
+    });
+    return { note };
+  } catch (err) {
+    if (err?.code === 11000) {
+      return { status: 409, error: "تم تعديل الملاحظة من قبل، يرجى التحديث" };
+    }
+    throw err;
+  }
+};
+
+// { current, versions } with the newest version first
+const loadVisitNoteHistory = async (appointmentId) => {
+  const versions = await VisitNote.find({ appointment: appointmentId })
+    .select(VISIT_NOTE_FIELDS)
+    .sort({ version: -1 })
+    .lean();
+  return { current: versions[0] || null, versions };
+};
+
+module.exports = {
+  NON_CLINICAL_SELECT,
+  withoutClinicalFields,
+  VISIT_NOTE_TEXT_MAX,
+  VITAL_RANGES,
+  addVisitNoteVersion,
+  formatVisitNoteText,
+  loadVisitNoteHistory,
+};
@@ -0,0 +1,190 @@
+const Appointment = require("../models/Appointment");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { sendPushToUser } = require("../routes/notifications");
+const { BUSY_STATUSES, formatYmd, toMinutes } = require("./availability");
+
+const getHoldMinutes = () => {
+  const minutes = Number(process.env.WAITLIST_HOLD_MINUTES || 15);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 15;
+};
+
+const isSlotInFuture = (dateIso, timeValue) => {
+  const now = new Date();
+  const todayIso = formatYmd(now);
+  if (!dateIso || dateIso < todayIso) return false;
+  if (dateIso > todayIso) return true;
+  const start = toMinutes(timeValue);
+  return start !== null && start > now.getHours() * 60 + now.getMinutes();
+};
+
+const fitsPreferredRange = (entry, timeValue) => {
+  const time = toMinutes(timeValue);
+  if (time === null) return false;
+  const from = toMinutes(entry.timeFrom);
+  const to = toMinutes(entry.timeTo);
+  if (from !== null && time < from) return false;
+  if (to !== null && time >= to) return false;
+  return true;
+};
+
+// Live hold (not expired) on a given slot, if any.
+const findActiveHold = ({ doctorProfileId, dateIso, timeValue }) =>
+  WaitlistEntry.findOne({
+    doctorProfile: doctorProfileId,
+    status: "offered",
+    holdExpiresAt: { $gt: new Date() },
+    "offeredSlot.appointmentDateIso": dateIso,
+    "offeredSlot.appointmentTimeValue": timeValue,
+  });
+
+// True when the slot is currently held for another waitlisted patient.
+const isSlotHeldForOther = async ({ doctorProfileId, dateIso, timeValue, userId }) => {
+  const hold = await findActiveHold({ doctorProfileId, dateIso, timeValue });
+  return !!hold && String(hold.user) !== String(userId);
+};
+
+/**
+ * Offer a freed slot to the first matching patient on the waitlist.
+ * Best-effort: never throws, returns the offered entry or null.
+ */
+const offerSlot = async ({ doctorProfileId, doctorName, slot }) => {
+  try {
+    if (!doctorProfileId || !slot?.appointmentDateIso || !slot?.appointmentTimeValue) return null;
+    if (!isSlotInFuture(slot.appointmentDateIso, slot.appointmentTimeValue)) return null;
+
+    const existingHold = await findActiveHold({
+      doctorProfileId,
+      dateIso: slot.appointmentDateIso,
+      timeValue: slot.appointmentTimeValue,
+    });
+    if (existingHold) return null;
+
+    // Someone already took the slot again (or the cancel was a no-op)
+    const occupied = await Appointment.exists({
+      doctorProfile: doctorProfileId,
+      appointmentDateIso: slot.appointmentDateIso,
+      appointmentTimeValue: slot.appointmentTimeValue,
+      status: { $in: BUSY_STATUSES },
+    });
+    if (occupied) return null;
+
+    const candidates = await WaitlistEntry.find({
+      doctorProfile: doctorProfileId,
+      appointmentDateIso: slot.appointmentDateIso,
+      status: "waiting",
+    })
+      .sort({ createdAt: 1 })
+      .select("_id timeFrom timeTo")
+      .lean();
+
+    const now = new Date();
+    const holdMinutes = getHoldMinutes();
+    for (const candidate of candidates) {
+      if (!fitsPreferredRange(candidate, slot.appointmentTimeValue)) continue;
+
+      // Atomic claim so two cancellations never offer to the same entry.
+      const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: "waiting" },
+        {
+          $set: {
+            status: "offered",
+            offeredSlot: {
+              appointmentDate: slot.appointmentDate || slot.appointmentDateIso,
+              appointmentDateIso: slot.appointmentDateIso,
+              appointmentTime: slot.appointmentTime || slot.appointmentTimeValue,
+              appointmentTimeValue: slot.appointmentTimeValue,
+            },
+            offeredAt: now,
+            holdExpiresAt: new Date(now.getTime() + holdMinutes * 60 * 1000),
+          },
+        },
+        { new: true }
+      );
+      if (!offered) continue;
+
+      await sendPushToUser(offered.user, {
+        title: "تفرغ موعد من قائمة الانتظار",
+        body: `تفرغ موعد${doctorName ? ` لدى ${doctorName}` : ""} بتاريخ ${offered.offeredSlot.appointmentDate} في ${offered.offeredSlot.appointmentTime}. الموعد محجوز لك لمدة ${holdMinutes} دقيقة`,
+        data: {
+          type: "waitlist_offer",
+          waitlistId: String(offered._id),
+          doctorProfileId: String(doctorProfileId),
+          role: "patient",
+        },
+      });
+      return offered;
+    }
+    return null;
+  } catch (err) {
+    console.error("Waitlist offer error:", err?.message);
+    return null;
+  }
+};
+
+// Hook for every cancellation path: the appointment's slot just became free.
+const offerFreedSlot = (appointment) => {
+  if (!appointment?.doctorProfile) return Promise.resolve(null);
+  return offerSlot({
+    doctorProfileId: appointment.doctorProfile?._id || appointment.doctorProfile,
+    doctorName: appointment.doctorName,
+    slot: {
+      appointmentDate: appointment.appointmentDate,
+      appointmentDateIso: appointment.appointmentDateIso,
+      appointmentTime: appointment.appointmentTime,
+      appointmentTimeValue: appointment.appointmentTimeValue,
+    },
+  });
+};
+
+// Close waitlist entries of a patient once they booked that doctor/day.
+const markWaitlistBooked = async ({ userId, doctorProfileId, dateIso, appointmentId }) => {
+  try {
+    await WaitlistEntry.updateMany(
+      {
+        user: userId,
+        doctorProfile: doctorProfileId,
+        appointmentDateIso: dateIso,
+        status: { $in: ["waiting", "offered"] },
+      },
+      { $set: { status: "booked", bookedAppointment: appointmentId, holdExpiresAt: null } }
+    );
+  } catch (err) {
+    console.error("Waitlist booked update error:", err?.message);
+  }
+};
+
+// Expire holds that were not used in time and pass the slot to the next patient.
+const expireStaleHolds = async () => {
+  const stale = await WaitlistEntry.find({
+    status: "offered",
+    holdExpiresAt: { $lte: new Date() },
+  })
+    .populate("doctorProfile", "displayName")
+    .lean();
+
+  let reoffered = 0;
+  for (const entry of stale) {
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "offered" },
+      { $set: { status: "expired" } }
+    );
+    if (!expired) continue;
+    const next = await offerSlot({
+      doctorProfileId: entry.doctorProfile?._id || entry.doctorProfile,
+      doctorName: entry.doctorProfile?.displayName,
+      slot: entry.offeredSlot,
+    });
+    if (next) reoffered += 1;
+  }
+
+  return { scanned: stale.length, sent: reoffered };
+};
+
+module.exports = {
+  findActiveHold,
+  isSlotHeldForOther,
+  offerSlot,
+  offerFreedSlot,
+  markWaitlistBooked,
+  expireStaleHolds,
+};